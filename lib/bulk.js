@@ -0,0 +1,193 @@
+var async = require('async');
+
+// Large numbers of rows are written by sending them in batches as a parameter
+// to a single `UNWIND` statement, rather than as one statement per row. The
+// template is the Cypher to run for each row, which is available as `row`:
+//
+// ```
+// db.bulk('CREATE (n:Person) SET n = row', people, callback);
+// ```
+//
+// runs `UNWIND {rows} AS row CREATE (n:Person) SET n = row` once for each
+// batch of `people`. The following options are supported:
+//
+// * `batchSize` - the number of rows in each batch, defaults to `1000`
+// * `concurrency` - the number of batches sent at once, defaults to `1`
+// * `transaction` - `batch`, the default, to run each batch in its own
+//   transaction, or `single` to run every batch in one transaction, which is
+//   either committed or rolled back as a whole. Batches are always sent one at
+//   a time in a single transaction.
+// * `parameters` - any other parameters used by the template
+// * `continueOnError` - if `true` the remaining batches are still sent after a
+//   batch fails. Only applies when each batch has its own transaction.
+// * `retries` - the maximum number of times a single transaction is retried
+//   after a `TransientError`, see `Neo4j.runInTransaction`
+// * `progress` - a function called after each batch, see below
+//
+// The progress function is passed an object with the following properties:
+//
+// * `batch` - the index of the batch
+// * `batches` - the number of batches
+// * `start` - the index of the first row in the batch
+// * `rows` - the number of rows in the batch
+// * `completed` - the number of rows written so far
+// * `total` - the total number of rows
+// * `error` - the error, if the batch failed
+//
+// Once every batch has been sent the callback is passed any error and a
+// summary with the number of `batches` and `rows`, the number of rows
+// `completed` and the `failures`, each with the `batch`, `start`, `rows` and
+// `error` of a failed batch. If the import stopped because of an error, the
+// summary is also available on the error as `summary`.
+
+var defaults = {
+    'batchSize': 1000,
+    'concurrency': 1,
+    'transaction': 'batch',
+    'continueOnError': false
+};
+
+function settings(options) {
+    var result = {};
+
+    Object.keys(options).forEach(function(key) {
+        result[key] = options[key];
+    });
+
+    Object.keys(defaults).forEach(function(key) {
+        if (result[key] === undefined) {
+            result[key] = defaults[key];
+        }
+    });
+
+    return result;
+}
+
+// Split `rows` into batches of at most `size` rows.
+
+function split(rows, size) {
+    var batches = [];
+
+    for (var start = 0; start < rows.length; start += size) {
+        batches.push({
+            'index': batches.length,
+            'start': start,
+            'rows': rows.slice(start, start + size)
+        });
+    }
+
+    return batches;
+}
+
+function run(db, template, rows, options, callback) {
+    var statement = 'UNWIND {rows} AS row\n' + template;
+    var batches;
+    var summary;
+
+    options = settings(options);
+    batches = split(rows, options.batchSize);
+
+    var reset = function() {
+        summary = {
+            'batches': batches.length,
+            'rows': rows.length,
+            'completed': 0,
+            'failures': []
+        };
+    };
+
+    // Send a single batch with `query`, which is either `db.query` or the
+    // `query` function of a transaction.
+
+    var send = function(query, batch, done) {
+        var parameters = {};
+
+        Object.keys(options.parameters || {}).forEach(function(key) {
+            parameters[key] = options.parameters[key];
+        });
+
+        parameters.rows = batch.rows;
+
+        query(statement, parameters, function(err) {
+            var progress = {
+                'batch': batch.index,
+                'batches': batches.length,
+                'start': batch.start,
+                'rows': batch.rows.length,
+                'total': rows.length
+            };
+
+            if (err) {
+                progress.error = err;
+                summary.failures.push({
+                    'batch': batch.index,
+                    'start': batch.start,
+                    'rows': batch.rows.length,
+                    'error': err
+                });
+            } else {
+                summary.completed += batch.rows.length;
+            }
+
+            progress.completed = summary.completed;
+
+            if (options.progress) {
+                options.progress(progress);
+            }
+
+            done(err && !options.continueOnError ? err : null);
+        });
+    };
+
+    var finish = function(err) {
+        if (err) {
+            err.summary = summary;
+        }
+
+        callback(err, summary);
+    };
+
+    reset();
+
+    if (batches.length === 0) {
+        return callback(null, summary);
+    }
+
+    // A failed statement rolls back the whole transaction, so there is no point
+    // continuing. If the transaction is retried the summary starts afresh.
+
+    if (options.transaction === 'single') {
+        options.continueOnError = false;
+
+        return db.runInTransaction(function(transaction, done) {
+            var query = transaction.query.bind(transaction);
+
+            reset();
+            async.eachSeries(batches, function(batch, next) {
+                send(query, batch, next);
+            }, done);
+        }, { 'retries': options.retries }, finish);
+    }
+
+    async.eachLimit(batches, options.concurrency, function(batch, next) {
+        send(db.query.bind(db), batch, next);
+    }, finish);
+}
+
+module.exports.run = run;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
@@ -0,0 +1,119 @@
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+var errors = require('./errors.js');
+
+// Calls can be given a `timeout`, in milliseconds, and a `signal` which is used
+// to cancel them. The signal can be an `AbortSignal`, where available, or a
+// `CancelToken`. Both have an `aborted` property and emit an `abort` event,
+// which is listened to with `addEventListener`.
+//
+// ```
+// var token = new Neo4j.CancelToken();
+// db.withOptions({ 'signal': token }).query('MATCH (n) RETURN n', callback);
+// token.cancel();
+// ```
+
+function CancelToken() {
+    EventEmitter.call(this);
+
+    this.aborted = false;
+    this.reason = undefined;
+}
+
+util.inherits(CancelToken, EventEmitter);
+
+// Cancel every call using the token. Only the first call to `cancel` has any
+// effect.
+
+CancelToken.prototype.cancel = function(reason) {
+    if (this.aborted) {
+        return;
+    }
+
+    this.aborted = true;
+    this.reason = reason;
+    this.emit('abort');
+};
+
+CancelToken.prototype.addEventListener = function(type, listener) {
+    this.on(type, listener);
+};
+
+CancelToken.prototype.removeEventListener = function(type, listener) {
+    this.removeListener(type, listener);
+};
+
+// Call `callback` with a `CancelledError` if the `signal` in `options` is
+// aborted, or a `TimeoutError` once the `timeout` in `options` has passed,
+// whichever happens first. If the signal has already been aborted the callback
+// is called straight away. Returns a function which stops watching.
+
+function watch(options, callback) {
+    var signal = options.signal;
+    var watching = true;
+    var timer;
+
+    var stop = function() {
+        watching = false;
+        clearTimeout(timer);
+
+        if (signal) {
+            signal.removeEventListener('abort', abort);
+        }
+    };
+
+    var fire = function(err) {
+        if (watching) {
+            stop();
+            callback(err);
+        }
+    };
+
+    var abort = function() {
+        var err = new errors.CancelledError('Request cancelled');
+
+        if (signal.reason !== undefined) {
+            err.reason = signal.reason;
+        }
+
+        fire(err);
+    };
+
+    if (signal && signal.aborted) {
+        abort();
+        return stop;
+    }
+
+    if (signal) {
+        signal.addEventListener('abort', abort);
+    }
+
+    if (options.timeout) {
+        timer = setTimeout(function() {
+            var message = 'Request timed out after ' + options.timeout + 'ms';
+            fire(new errors.TimeoutError(message, options.timeout));
+        }, options.timeout);
+    }
+
+    return stop;
+}
+
+module.exports.CancelToken = CancelToken;
+module.exports.watch = watch;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
@@ -0,0 +1,359 @@
+var fs = require('fs');
+var util = require('util');
+var async = require('async');
+
+var Neo4j = require('../neo4j.js');
+var Migrations = require('./migrations.js');
+var formats = require('./format.js');
+var repl = require('./repl.js');
+
+// The `rainbird-neo4j` command runs Cypher files and migrations against a Neo4j
+// server from the command line. See `usage` for the commands and options.
+//
+// `main` is given the arguments, without the node executable and script, and
+// an object holding the `stdin`, `stdout` and `stderr` streams and the `env` to
+// use, so it can be run from tests. The callback is passed the exit code.
+
+var usage = [
+    'Usage: rainbird-neo4j [options] run [file]',
+    '       rainbird-neo4j [options] migrate status|up|down directory ' +
+        '[version]',
+    '       rainbird-neo4j [options] repl',
+    '',
+    'Commands:',
+    '  run [file]               run the statements in a Cypher file, or stdin',
+    '  migrate status dir       show the state of the migrations in dir',
+    '  migrate up dir [v]       apply pending migrations, up to version v',
+    '  migrate down dir [v]     undo the last migration, or down to version v',
+    '  repl                     run Cypher interactively, see :help',
+    '',
+    'Options:',
+    '  -u, --uri uri            the Neo4j server, defaults to $NEO4J_URL or',
+    '                           http://localhost:7474',
+    '  --username name          the username to log in with',
+    '  --password password      the password to log in with',
+    '  -f, --format format      print results as table, json or csv, defaults',
+    '                           to table',
+    '  -p, --param name=value   a parameter, parsed as JSON if it is valid JSON',
+    '  --params json            parameters as a JSON object',
+    '  -s, --sub name=value     a ${name} substitution',
+    '  --subs json              substitutions as a JSON object',
+    '  -h, --help               show this help'
+].join('\n') + '\n';
+
+var flags = {
+    '-u': 'uri',
+    '--uri': 'uri',
+    '--username': 'username',
+    '--password': 'password',
+    '-f': 'format',
+    '--format': 'format',
+    '-p': 'param',
+    '--param': 'param',
+    '--params': 'params',
+    '-s': 'sub',
+    '--sub': 'sub',
+    '--subs': 'subs'
+};
+
+// Errors in the arguments are followed by the usage.
+
+function UsageError(message) {
+    Error.call(this);
+    this.name = 'UsageError';
+    this.message = message;
+}
+
+util.inherits(UsageError, Error);
+
+// Parse a JSON object given as an option.
+
+function object(text, option) {
+    var value;
+
+    try {
+        value = JSON.parse(text);
+    } catch (err) {
+        throw new UsageError('Invalid JSON for ' + option + ': ' + err.message);
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new UsageError(option + ' must be a JSON object');
+    }
+
+    return value;
+}
+
+// Add a `name=value` pair to `target`. Values are parsed as JSON if they can
+// be, so numbers and booleans can be given, and are otherwise strings.
+
+function pair(target, text, option, json) {
+    var index = text.indexOf('=');
+
+    if (index < 1) {
+        throw new UsageError(option + ' must be given as name=value');
+    }
+
+    var value = text.slice(index + 1);
+
+    if (json) {
+        try {
+            value = JSON.parse(value);
+        } catch (err) {
+            value = text.slice(index + 1);
+        }
+    }
+
+    target[text.slice(0, index)] = value;
+}
+
+// Parse the arguments into the command, its arguments and the options.
+
+function parse(argv) {
+    var result = {
+        'args': [],
+        'format': 'table',
+        'parameters': {},
+        'substitutions': {}
+    };
+
+    for (var i = 0; i < argv.length; i++) {
+        var arg = argv[i];
+        var equals = arg.indexOf('=');
+        var flag = arg.slice(0, 2) === '--' && equals > 0 ?
+            arg.slice(0, equals) : arg;
+        var value;
+
+        if (arg === '-h' || arg === '--help') {
+            result.help = true;
+            continue;
+        }
+
+        if (!flags.hasOwnProperty(flag)) {
+            if (arg[0] === '-' && arg !== '-') {
+                throw new UsageError('Unknown option ' + arg);
+            }
+
+            result.args.push(arg);
+            continue;
+        }
+
+        value = flag === arg ? argv[++i] : arg.slice(equals + 1);
+
+        if (value === undefined) {
+            throw new UsageError('Missing value for ' + flag);
+        }
+
+        option(result, flags[flag], value, flag);
+    }
+
+    result.command = result.args.shift();
+
+    return result;
+}
+
+function option(result, name, value, flag) {
+    var merge = function(target, source) {
+        Object.keys(source).forEach(function(key) {
+            target[key] = source[key];
+        });
+    };
+
+    switch (name) {
+        case 'param':
+            return pair(result.parameters, value, flag, true);
+        case 'params':
+            return merge(result.parameters, object(value, flag));
+        case 'sub':
+            return pair(result.substitutions, value, flag, false);
+        case 'subs':
+            return merge(result.substitutions, object(value, flag));
+        default:
+            result[name] = value;
+    }
+}
+
+// ## Commands
+
+function read(file, io, callback) {
+    if (file && file !== '-') {
+        return fs.readFile(file, 'utf8', callback);
+    }
+
+    var chunks = [];
+
+    io.stdin.setEncoding('utf8');
+    io.stdin.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+    io.stdin.on('end', function() {
+        callback(null, chunks.join(''));
+    });
+    io.stdin.on('error', callback);
+}
+
+// Run the statements in a file, or stdin, with the substitutions and
+// parameters given, and print the results.
+
+function run(db, options, io, callback) {
+    read(options.args[0], io, function(err, script) {
+        if (err) {
+            return callback(err);
+        }
+
+        var statements = Migrations.split(script);
+
+        async.mapSeries(statements, function(statement, next) {
+            Neo4j.compose(statement, options.substitutions, options.parameters,
+                next);
+        }, function(err, composed) {
+            if (err) {
+                return callback(err);
+            }
+
+            if (composed.length === 0) {
+                return callback(new Error('No statements to run'));
+            }
+
+            db.query(composed, function(err, results) {
+                if (err) {
+                    return callback(err);
+                }
+
+                io.stdout.write(formats[options.format](results));
+                callback(null);
+            });
+        });
+    });
+}
+
+function migrate(db, options, io, callback) {
+    var action = options.args[0];
+    var directory = options.args[1];
+    var version = options.args[2];
+    var migrations;
+
+    if (['status', 'up', 'down'].indexOf(action) === -1 || !directory) {
+        return callback(new UsageError('migrate needs status, up or down, ' +
+            'and a directory'));
+    }
+
+    migrations = db.migrations(directory);
+
+    if (action === 'status') {
+        return migrations.status(function(err, status) {
+            if (err) {
+                return callback(err);
+            }
+
+            io.stdout.write(formats[options.format]([status.map(function(m) {
+                return {
+                    'version': m.version,
+                    'name': m.name,
+                    'state': m.state,
+                    'appliedAt': m.appliedAt === undefined ? undefined :
+                        new Date(m.appliedAt).toISOString()
+                };
+            })]));
+            callback(null);
+        });
+    }
+
+    var done = function(err, migrated) {
+        (migrated || []).forEach(function(migration) {
+            io.stdout.write((action === 'up' ? 'Applied ' : 'Undid ') +
+                migration.version + '_' + migration.name + '\n');
+        });
+
+        if (!err && migrated.length === 0) {
+            io.stdout.write('Nothing to migrate\n');
+        }
+
+        callback(err);
+    };
+
+    if (version === undefined) {
+        return migrations[action](done);
+    }
+
+    migrations[action](version, done);
+}
+
+// Start an interactive REPL, with any substitutions and parameters given.
+
+function interactive(db, options, io, callback) {
+    repl.start(db, io, {
+        'parameters': options.parameters,
+        'substitutions': options.substitutions
+    }, callback);
+}
+
+var commands = {
+    'run': run,
+    'migrate': migrate,
+    'repl': interactive
+};
+
+function main(argv, io, callback) {
+    var options;
+
+    var fail = function(err) {
+        io.stderr.write('Error: ' + err.message + '\n');
+
+        if (err instanceof UsageError) {
+            io.stderr.write('\n' + usage);
+            return callback(2);
+        }
+
+        callback(1);
+    };
+
+    try {
+        options = parse(argv);
+    } catch (err) {
+        return fail(err);
+    }
+
+    if (options.help) {
+        io.stdout.write(usage);
+        return callback(0);
+    }
+
+    if (!commands.hasOwnProperty(options.command)) {
+        return fail(new UsageError(options.command ?
+            'Unknown command ' + options.command : 'No command given'));
+    }
+
+    if (!formats.hasOwnProperty(options.format)) {
+        return fail(new UsageError('Unknown format ' + options.format));
+    }
+
+    var db = new Neo4j(options.uri || io.env.NEO4J_URL ||
+        'http://localhost:7474', {
+            'username': options.username,
+            'password': options.password
+        });
+
+    commands[options.command](db, options, io, function(err) {
+        return err ? fail(err) : callback(0);
+    });
+}
+
+module.exports.main = main;
+module.exports.parse = parse;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
@@ -0,0 +1,161 @@
+var async = require('async');
+
+var errors = require('./errors.js');
+
+// A `Cluster` keeps track of the servers in a Neo4j HA cluster. The role of
+// each server is discovered by asking its HA status endpoint, which answers
+// `master` or `slave` if the server is available. Writes are sent to the
+// master and reads are spread across the slaves in turn, falling back to the
+// master if there are no slaves.
+//
+// A transaction only exists on the server that began it, so transactions are
+// pinned to that server until they are committed or rolled back. When a server
+// stops answering it is marked as down and the roles are discovered again
+// before the next request, so that a newly elected master is found.
+//
+// `get` is a function that takes a URI and a callback, and passes the callback
+// any error and the response from requesting that URI.
+
+var AVAILABLE = 'db/manage/server/ha/available';
+
+function Cluster(servers, get) {
+    this.servers = servers.map(function(uri) {
+        return { 'uri': uri, 'role': undefined, 'down': false };
+    });
+
+    this.get = get;
+    this.pins = {};
+    this.next = 0;
+    this.stale = true;
+    this.waiting = undefined;
+}
+
+// Ask every server for its role. If a discovery is already running the
+// callback is called once that finishes.
+
+Cluster.prototype.discover = function(callback) {
+    var self = this;
+
+    if (this.waiting) {
+        return this.waiting.push(callback);
+    }
+
+    this.waiting = [callback];
+
+    async.each(this.servers, function(server, done) {
+        self.get(server.uri + AVAILABLE, function(err, response) {
+            var role = !err && response.statusCode === 200 ?
+                String(response.body).trim().toLowerCase() : undefined;
+
+            server.down = !!err;
+            server.role = role === 'master' || role === 'slave' ?
+                role : undefined;
+
+            done();
+        });
+    }, function() {
+        var waiting = self.waiting;
+
+        self.waiting = undefined;
+        self.stale = false;
+
+        waiting.forEach(function(callback) {
+            callback();
+        });
+    });
+};
+
+function choose(cluster, access) {
+    var up = cluster.servers.filter(function(server) {
+        return !server.down;
+    });
+
+    var withRole = function(role) {
+        return up.filter(function(server) {
+            return server.role === role;
+        });
+    };
+
+    var slaves = withRole('slave');
+
+    if (access === 'read' && slaves.length > 0) {
+        cluster.next = (cluster.next + 1) % slaves.length;
+        return slaves[cluster.next];
+    }
+
+    return withRole('master')[0];
+}
+
+// Pass the callback the URI of a server for the given `access`, which is
+// either `read` or `write`. Roles are discovered first if they aren't known,
+// or if no suitable server is known. If there is still no suitable server the
+// callback is passed an `UnavailableError`.
+
+Cluster.prototype.select = function(access, callback) {
+    var self = this;
+    var server = this.stale ? undefined : choose(this, access);
+
+    if (server) {
+        return callback(null, server.uri);
+    }
+
+    this.discover(function() {
+        server = choose(self, access);
+
+        if (!server) {
+            return callback(new errors.UnavailableError(
+                'No Neo4j server is available for ' + (access || 'write')));
+        }
+
+        callback(null, server.uri);
+    });
+};
+
+// Mark a server as down after it stopped answering.
+
+Cluster.prototype.fail = function(uri) {
+    this.servers.forEach(function(server) {
+        if (server.uri === uri) {
+            server.down = true;
+        }
+    });
+
+    this.stale = true;
+};
+
+// Forget the known roles, so that they are discovered again before the next
+// request.
+
+Cluster.prototype.invalidate = function() {
+    this.stale = true;
+};
+
+Cluster.prototype.pin = function(transactionID, uri) {
+    this.pins[transactionID] = uri;
+};
+
+Cluster.prototype.pinned = function(transactionID) {
+    return this.pins[transactionID];
+};
+
+Cluster.prototype.unpin = function(transactionID) {
+    delete this.pins[transactionID];
+};
+
+module.exports = Cluster;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
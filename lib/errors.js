@@ -0,0 +1,146 @@
+var util = require('util');
+
+// Errors passed back by `rainbird-neo4j` fall into two groups. Errors returned
+// by Neo4j itself are mapped onto a subclass of `Neo4jError` based on the
+// classification in the Neo4j status code. Status codes take the form
+// `Neo.[Classification].[Category].[Title]`, for example
+// `Neo.ClientError.Statement.InvalidSyntax`, which becomes a `ClientError`.
+// Errors that occur talking to Neo4j are either a `NetworkError`, when the
+// request itself fails, a `ProtocolError`, when Neo4j gives a response that
+// can't be understood, or an `UnavailableError`, when there's no server to talk
+// to. Calls that are cancelled, or take longer than their timeout, fail with a
+// `CancelledError` or a `TimeoutError`.
+//
+// Each `Neo4jError` has the following properties:
+//
+// * `code` - the full Neo4j status code
+// * `classification` - e.g. `ClientError`
+// * `category` - e.g. `Statement`
+// * `title` - e.g. `InvalidSyntax`
+// * `statementIndex` - the index of the statement that failed, if known
+// * `transactionID` - the transaction ID, if the error occurred within a
+//   transaction
+// * `errors` - all of the errors returned by Neo4j. The other properties are
+//   taken from the first of these.
+
+function define(name, parent, init) {
+    var constructor = function() {
+        Error.call(this);
+        Error.captureStackTrace(this, constructor);
+        this.name = name;
+        init.apply(this, arguments);
+    };
+
+    util.inherits(constructor, parent);
+    constructor.prototype.name = name;
+
+    return constructor;
+}
+
+function initNeo4jError(message, errors, details) {
+    var parts = (errors[0] && errors[0].code || '').split('.');
+
+    details = details || {};
+
+    this.message = message;
+    this.errors = errors;
+    this.code = errors[0] && errors[0].code;
+    this.classification = parts[1];
+    this.category = parts[2];
+    this.title = parts[3];
+    this.statementIndex = details.statementIndex;
+    this.transactionID = details.transactionID;
+}
+
+var Neo4jError = define('Neo4jError', Error, initNeo4jError);
+var ClientError = define('ClientError', Neo4jError, initNeo4jError);
+var TransientError = define('TransientError', Neo4jError, initNeo4jError);
+var DatabaseError = define('DatabaseError', Neo4jError, initNeo4jError);
+
+// A `NetworkError` wraps the error returned by `request`. The original error
+// is available as `cause`, and its `code` (e.g. `ECONNRESET`) is copied
+// across.
+
+var NetworkError = define('NetworkError', Error, function(cause) {
+    this.message = cause && cause.message || String(cause);
+    this.cause = cause;
+    this.code = cause && cause.code;
+});
+
+// A `ProtocolError` is raised when the response from Neo4j isn't in the
+// expected format. Where known, the HTTP status code is given as `statusCode`.
+
+var ProtocolError = define('ProtocolError', Error, function(message, status) {
+    this.message = message;
+    this.statusCode = status;
+});
+
+// An `UnavailableError` is raised when there is no Neo4j server available to
+// send a request to, for example when no master can be found in a cluster.
+
+var UnavailableError = define('UnavailableError', Error, function(message) {
+    this.message = message;
+});
+
+// A `CancelledError` is raised when a call is cancelled by its `signal`. If the
+// call was part of a transaction, which was rolled back as a result,
+// `rolledBack` is `true` and `transactionID` is set.
+
+var CancelledError = define('CancelledError', Error, function(message) {
+    this.message = message;
+    this.rolledBack = false;
+});
+
+// A `TimeoutError` is a `CancelledError` raised when a call takes longer than
+// its `timeout`, which is given in milliseconds as `timeout`.
+
+var TimeoutError = define('TimeoutError', CancelledError,
+    function(message, timeout) {
+        this.message = message;
+        this.rolledBack = false;
+        this.timeout = timeout;
+    }
+);
+
+var classifications = {
+    'ClientError': ClientError,
+    'TransientError': TransientError,
+    'DatabaseError': DatabaseError
+};
+
+// Build the appropriate `Neo4jError` for the errors returned by Neo4j. The
+// class is chosen by the classification of the first error.
+
+function fromNeo4j(message, errors, details) {
+    var code = errors[0] && errors[0].code || '';
+    var Constructor = classifications[code.split('.')[1]] || Neo4jError;
+
+    return new Constructor(message, errors, details);
+}
+
+module.exports.Neo4jError = Neo4jError;
+module.exports.ClientError = ClientError;
+module.exports.TransientError = TransientError;
+module.exports.DatabaseError = DatabaseError;
+module.exports.NetworkError = NetworkError;
+module.exports.ProtocolError = ProtocolError;
+module.exports.UnavailableError = UnavailableError;
+module.exports.CancelledError = CancelledError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.fromNeo4j = fromNeo4j;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
@@ -0,0 +1,33 @@
+// Identifiers in Neo4j follow the following basic rules:
+//
+//    * case sensitive
+//    * can contain underscores and alphanumeric characters ([a-zA-Z0-9_])
+//    * must always start with a letter. ([a-zA-Z]+[a-zA-Z0-9_]*)
+//
+// More complex identifiers can be quoted using backtick (`) characters.
+// Backticks themselves can be escaped using a backtick. To avoid complex
+// pattern matching on a string we simply assume all identifiers need to be
+// quoted by escaping backticks and surrounding the string in backticks.
+
+function escape(string) {
+    var result = string.replace(/`/g, '``');
+    return '`' + result + '`';
+}
+
+module.exports = escape;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
\ No newline at end of file
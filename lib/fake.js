@@ -0,0 +1,329 @@
+var http = require('http');
+
+// A `FakeServer` is a stand-in for Neo4j that implements enough of the
+// transactional endpoint for tests to use the real client, and real HTTP,
+// without a database. Transactions can be begun, used, committed and rolled
+// back, expire if left idle, and statements that fail roll back their
+// transaction, as they do in Neo4j.
+//
+// Responses are scripted with `respond`. Statements that don't match any
+// script return no columns and no rows.
+//
+// ```
+// var server = new FakeServer();
+//
+// server.respond(/MATCH \(n:Person\)/, {
+//     'columns': ['name'],
+//     'rows': [['Alice'], ['Bob']]
+// });
+//
+// server.listen(function(err, uri) {
+//     var db = new Neo4j(uri);
+//     ...
+// });
+// ```
+//
+// The following options are supported:
+//
+// * `timeout` - the time in milliseconds a transaction can be left idle
+//   before it expires, defaults to `60000`
+// * `username` and `password` - if given, requests must use these credentials
+// * `role` - the role reported by the HA status endpoint, defaults to `master`
+
+var TIMEOUT = 60000;
+var TRANSACTION = /^\/db\/data\/transaction(?:\/(\d+))?(\/commit)?\/?$/;
+var AVAILABLE = '/db/manage/server/ha/available';
+
+function FakeServer(options) {
+    options = options || {};
+
+    this.timeout = options.timeout || TIMEOUT;
+    this.username = options.username;
+    this.password = options.password;
+    this.role = options.role || 'master';
+    this.scripts = [];
+    this.requests = [];
+    this.transactions = {};
+    this.next = 1;
+    this.server = undefined;
+    this.uri = undefined;
+}
+
+// Script the response to statements matching `pattern`, which is either a
+// string, matched against the statement with whitespace normalised, a regular
+// expression, or a function that is passed the statement and its parameters
+// and returns `true` if it matches. Later scripts take precedence.
+//
+// `response` is either an object or a function that is passed the statement
+// and its parameters and returns one. The object can contain:
+//
+// * `columns` - the column names
+// * `rows` - an array of rows, each an array of values
+// * `data` - the raw `data` to return instead of `rows`, for the `rest` and
+//   `graph` result formats
+// * `stats` - the statistics to return if the statement asks for them
+// * `error` - an error, with a `code` and `message`, to fail the statement
+//   with
+
+FakeServer.prototype.respond = function(pattern, response) {
+    this.scripts.unshift({ 'pattern': pattern, 'response': response });
+    return this;
+};
+
+// Forget all scripts, requests and transactions.
+
+FakeServer.prototype.reset = function() {
+    this.scripts = [];
+    this.requests = [];
+    this.transactions = {};
+};
+
+// Start listening on `port`, or any free port if none is given. The callback
+// is passed any error and the URI of the server, which can be passed straight
+// to the `Neo4j` constructor.
+
+FakeServer.prototype.listen = function(port, callback) {
+    var self = this;
+
+    if (typeof port === 'function') {
+        callback = port;
+        port = 0;
+    }
+
+    this.server = http.createServer(function(req, res) {
+        handle(self, req, res);
+    });
+
+    this.server.on('error', callback);
+    this.server.listen(port, '127.0.0.1', function() {
+        self.uri = 'http://127.0.0.1:' + self.server.address().port + '/';
+        callback(null, self.uri);
+    });
+};
+
+FakeServer.prototype.close = function(callback) {
+    this.server.close(callback);
+};
+
+function normalise(statement) {
+    return String(statement).replace(/\s+/g, ' ').trim();
+}
+
+function matches(pattern, statement, parameters) {
+    if (pattern instanceof RegExp) {
+        return pattern.test(statement);
+    }
+
+    if (typeof pattern === 'function') {
+        return pattern(statement, parameters);
+    }
+
+    return normalise(pattern) === normalise(statement);
+}
+
+function script(server, statement, parameters) {
+    var found = server.scripts.filter(function(script) {
+        return matches(script.pattern, statement, parameters);
+    })[0];
+
+    if (!found) {
+        return {};
+    }
+
+    if (typeof found.response === 'function') {
+        return found.response(statement, parameters) || {};
+    }
+
+    return found.response;
+}
+
+// Run the statements, stopping at the first that fails. Returns the results
+// and errors in the form Neo4j returns them.
+
+function run(server, statements) {
+    var output = { 'results': [], 'errors': [] };
+
+    statements.every(function(statement) {
+        var response = script(server, statement.statement,
+            statement.parameters || {});
+
+        if (response.error) {
+            output.errors.push(response.error);
+            return false;
+        }
+
+        var result = {
+            'columns': response.columns || [],
+            'data': response.data || (response.rows || []).map(function(row) {
+                return { 'row': row };
+            })
+        };
+
+        if (statement.includeStats) {
+            result.stats = response.stats || {};
+        }
+
+        output.results.push(result);
+        return true;
+    });
+
+    return output;
+}
+
+function send(res, status, body) {
+    var json = JSON.stringify(body);
+
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=UTF-8',
+        'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+}
+
+function fail(res, status, code, message) {
+    send(res, status, {
+        'results': [],
+        'errors': [{ 'code': code, 'message': message }]
+    });
+}
+
+function authorised(server, req) {
+    if (server.username === undefined) {
+        return true;
+    }
+
+    var credentials = server.username + ':' + (server.password || '');
+    var buffer = Buffer.from ?
+        Buffer.from(credentials) : new Buffer(credentials);
+
+    return req.headers.authorization === 'Basic ' + buffer.toString('base64');
+}
+
+// Find an open transaction, removing it if it has expired.
+
+function find(server, id) {
+    var transaction = server.transactions[id];
+
+    if (transaction && transaction.expires < Date.now()) {
+        delete server.transactions[id];
+        return undefined;
+    }
+
+    return transaction;
+}
+
+// Handle a request to the transactional endpoint. `match` is the match of the
+// URL against `TRANSACTION`, which gives the transaction ID, if there is one,
+// and whether the transaction should be committed.
+
+function transact(server, req, res, match, body) {
+    var id = match[1] && parseInt(match[1]);
+    var commit = !!match[2];
+    var transaction;
+
+    if (id) {
+        transaction = find(server, id);
+
+        if (!transaction) {
+            return fail(res, 404, 'Neo.ClientError.Transaction.UnknownId',
+                'Unrecognized transaction id. Transaction may have timed ' +
+                'out and been rolled back.');
+        }
+    }
+
+    if (req.method === 'DELETE') {
+        if (!id || commit) {
+            return fail(res, 405, 'Neo.ClientError.Request.Invalid',
+                'Method not allowed');
+        }
+
+        delete server.transactions[id];
+        return send(res, 200, { 'results': [], 'errors': [] });
+    }
+
+    var output = run(server, body.statements || []);
+    var status = 200;
+
+    if (!id && !commit) {
+        id = server.next++;
+        transaction = server.transactions[id] = { 'id': id };
+        status = 201;
+        res.setHeader('Location', server.uri + 'db/data/transaction/' + id);
+    }
+
+    if (commit || output.errors.length > 0) {
+        delete server.transactions[id];
+    } else {
+        transaction.expires = Date.now() + server.timeout;
+        output.commit = server.uri + 'db/data/transaction/' + id + '/commit';
+        output.transaction = {
+            'expires': new Date(transaction.expires).toUTCString()
+        };
+    }
+
+    send(res, status, output);
+}
+
+function handle(server, req, res) {
+    var chunks = [];
+
+    req.on('data', function(chunk) {
+        chunks.push(chunk);
+    });
+
+    req.on('end', function() {
+        var text = Buffer.concat(chunks).toString();
+        var body;
+
+        try {
+            body = text ? JSON.parse(text) : {};
+        } catch (err) {
+            return fail(res, 400, 'Neo.ClientError.Request.InvalidFormat',
+                'Unable to deserialize request: ' + err.message);
+        }
+
+        server.requests.push({
+            'method': req.method,
+            'url': req.url,
+            'body': body
+        });
+
+        if (!authorised(server, req)) {
+            return fail(res, 401,
+                'Neo.ClientError.Security.AuthorizationFailed',
+                'Invalid username or password.');
+        }
+
+        if (req.url === AVAILABLE) {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            return res.end(server.role);
+        }
+
+        var match = req.url.match(TRANSACTION);
+
+        if (!match || (req.method !== 'POST' && req.method !== 'DELETE')) {
+            return fail(res, 404, 'Neo.ClientError.Request.Invalid',
+                'Not found: ' + req.method + ' ' + req.url);
+        }
+
+        transact(server, req, res, match, body);
+    });
+}
+
+module.exports = FakeServer;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
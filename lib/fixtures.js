@@ -0,0 +1,155 @@
+var fs = require('fs');
+var request = require('request');
+
+// Interactions with Neo4j can be recorded to a fixture file and replayed later,
+// so that tests written against a live Neo4j can run without one. Both
+// `record` and `replay` return a function for the `transport` option, see
+// `Neo4j.withOptions`.
+//
+// ```
+// var transport = process.env.NEO4J_TEST_URL ?
+//     fixtures.record('test/fixtures/people.json') :
+//     fixtures.replay('test/fixtures/people.json');
+//
+// var db = new Neo4j(process.env.NEO4J_TEST_URL || 'http://localhost:7474',
+//     { 'transport': transport });
+// ```
+//
+// The fixture file is a JSON array of interactions, each with a `request`,
+// containing the `method`, the `path` and the `statements`, and either a
+// `response`, containing the `statusCode` and `body`, or an `error`. Requests
+// are matched on their method, their path and their statements, with the
+// whitespace in each statement normalised and the keys of each object sorted,
+// so formatting changes to Cypher don't break a fixture. The server the
+// request was sent to isn't part of the match, so fixtures can be replayed
+// against any URI. Streamed queries aren't recorded as `stream` doesn't use the
+// transport.
+
+function normalise(value) {
+    if (Array.isArray(value)) {
+        return value.map(normalise);
+    }
+
+    if (value && typeof value === 'object') {
+        var result = {};
+
+        Object.keys(value).sort().forEach(function(key) {
+            result[key] = key === 'statement' ?
+                String(value[key]).replace(/\s+/g, ' ').trim() :
+                normalise(value[key]);
+        });
+
+        return result;
+    }
+
+    return value;
+}
+
+// Describe the request given by the transport `options` in the form it is
+// stored in a fixture.
+
+function describe(options) {
+    return {
+        'method': options.method,
+        'path': options.uri.replace(/^[a-z][a-z0-9+.\-]*:\/\/[^\/]*/i, ''),
+        'statements': normalise(options.json && options.json.statements || [])
+    };
+}
+
+function key(description) {
+    return JSON.stringify(description);
+}
+
+// Record every interaction to `file`, which is overwritten. Requests are sent
+// with `transport`, which defaults to `request`. The file is rewritten after
+// each interaction, so it is complete even if the process exits abruptly.
+
+function record(file, transport) {
+    var interactions = [];
+
+    transport = transport || request;
+
+    fs.writeFileSync(file, '[]\n');
+
+    return function(options, callback) {
+        var interaction = { 'request': describe(options) };
+
+        return transport(options, function(err, response) {
+            if (err) {
+                interaction.error = {
+                    'message': err.message,
+                    'code': err.code
+                };
+            } else {
+                interaction.response = {
+                    'statusCode': response.statusCode,
+                    'body': response.body
+                };
+            }
+
+            interactions.push(interaction);
+            fs.writeFileSync(file,
+                JSON.stringify(interactions, null, 2) + '\n');
+
+            callback(err, response);
+        });
+    };
+}
+
+// Replay the interactions in `file`. Each recorded interaction is used once,
+// in the order they were recorded, so repeated requests get the responses they
+// got when they were recorded. A request with no recorded interaction left
+// fails with an error.
+
+function replay(file) {
+    var recorded = {};
+
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(function(interaction) {
+        var id = key(interaction.request);
+
+        recorded[id] = recorded[id] || [];
+        recorded[id].push(interaction);
+    });
+
+    return function(options, callback) {
+        var description = describe(options);
+        var interaction = (recorded[key(description)] || []).shift();
+
+        setImmediate(function() {
+            if (!interaction) {
+                return callback(new Error('No recorded response for ' +
+                    description.method + ' ' + description.path));
+            }
+
+            if (interaction.error) {
+                var err = new Error(interaction.error.message);
+                err.code = interaction.error.code;
+                return callback(err);
+            }
+
+            callback(null, {
+                'statusCode': interaction.response.statusCode,
+                'body': interaction.response.body
+            });
+        });
+    };
+}
+
+module.exports.record = record;
+module.exports.replay = replay;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
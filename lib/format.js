@@ -0,0 +1,112 @@
+// Results are formatted for printing as a `table`, `json` or `csv`. Each
+// function takes the results passed to the callback of `query`, an array of
+// rows for each statement, and returns the text to print. The columns of each
+// result are taken from the keys of its rows, in the order they first appear.
+
+function text(value) {
+    if (typeof value === 'string') {
+        return value;
+    }
+
+    return value === undefined ? '' : JSON.stringify(value);
+}
+
+// The columns of a result, in the order they first appear.
+
+function columns(rows) {
+    var result = [];
+
+    rows.forEach(function(row) {
+        Object.keys(row).forEach(function(column) {
+            if (result.indexOf(column) === -1) {
+                result.push(column);
+            }
+        });
+    });
+
+    return result;
+}
+
+function pad(string, width) {
+    return string + new Array(width - string.length + 1).join(' ');
+}
+
+function table(rows) {
+    var names = columns(rows);
+    var cells = rows.map(function(row) {
+        return names.map(function(name) {
+            return text(row[name]);
+        });
+    });
+    var widths = names.map(function(name, index) {
+        return cells.reduce(function(width, row) {
+            return Math.max(width, row[index].length);
+        }, name.length);
+    });
+
+    var line = function(values) {
+        return '| ' + values.map(function(value, index) {
+            return pad(value, widths[index]);
+        }).join(' | ') + ' |\n';
+    };
+
+    var output = '';
+
+    if (names.length > 0) {
+        output += line(names);
+        output += '|' + widths.map(function(width) {
+            return new Array(width + 3).join('-');
+        }).join('|') + '|\n';
+        output += cells.map(line).join('');
+    }
+
+    return output + rows.length + (rows.length === 1 ? ' row' : ' rows') + '\n';
+}
+
+function csv(rows) {
+    var names = columns(rows);
+
+    var field = function(value) {
+        value = text(value);
+        return (/[",\r\n]/).test(value) ?
+            '"' + value.replace(/"/g, '""') + '"' : value;
+    };
+
+    var line = function(values) {
+        return values.map(field).join(',') + '\n';
+    };
+
+    return line(names) + rows.map(function(row) {
+        return line(names.map(function(name) {
+            return row[name];
+        }));
+    }).join('');
+}
+
+module.exports = {
+    'table': function(results) {
+        return results.map(table).join('\n');
+    },
+    'json': function(results) {
+        return JSON.stringify(results, null, 2) + '\n';
+    },
+    'csv': function(results) {
+        return results.map(csv).join('\n');
+    }
+};
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
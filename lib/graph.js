@@ -0,0 +1,159 @@
+// Neo4j can return results in three formats, set using `resultDataContents`
+// on each statement: `row`, `graph` and `rest`. The `row` format only
+// contains the properties of nodes and relationships. The `rest` and `graph`
+// formats also contain their identity, so that the results can be rendered as
+// a graph. This module maps both into plain objects of the form:
+//
+// ```javascript
+// { id: 1, labels: ['Person'], properties: { name: 'Alice' } }
+// { id: 2, type: 'KNOWS', startNode: 1, endNode: 3, properties: {} }
+// ```
+//
+// Paths in the `rest` format are mapped to an object containing the `start`
+// and `end` node IDs, the IDs of the `nodes` and `relationships` along the
+// path, and its `length`.
+
+var trailingID = /\/(\d+)$/;
+
+function idFromUrl(url) {
+    var match = trailingID.exec(url);
+    return match ? parseInt(match[1], 10) : undefined;
+}
+
+function toInteger(id) {
+    return typeof id === 'string' ? parseInt(id, 10) : id;
+}
+
+function isPath(value) {
+    return Array.isArray(value.nodes) && Array.isArray(value.relationships) &&
+        value.length !== undefined;
+}
+
+// Map a single value from the `rest` format. Values that aren't nodes,
+// relationships or paths, such as strings or maps, are returned as is.
+
+function entity(value) {
+    if (Array.isArray(value)) {
+        return value.map(entity);
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    if (isPath(value)) {
+        return {
+            'start': idFromUrl(value.start),
+            'end': idFromUrl(value.end),
+            'nodes': value.nodes.map(idFromUrl),
+            'relationships': value.relationships.map(idFromUrl),
+            'length': value.length
+        };
+    }
+
+    if (!value.self) {
+        return value;
+    }
+
+    var metadata = value.metadata || {};
+    var id = metadata.id !== undefined ? metadata.id : idFromUrl(value.self);
+
+    if (value.start && value.end) {
+        return {
+            'id': id,
+            'type': value.type || metadata.type,
+            'startNode': idFromUrl(value.start),
+            'endNode': idFromUrl(value.end),
+            'properties': value.data || {}
+        };
+    }
+
+    return {
+        'id': id,
+        'labels': metadata.labels || [],
+        'properties': value.data || {}
+    };
+}
+
+// Merge the `graph` format of every row returned by a statement into a single
+// graph, removing any duplicate nodes and relationships.
+
+function merge(result) {
+    var graph = { 'nodes': [], 'relationships': [] };
+    var seen = { 'nodes': {}, 'relationships': {} };
+
+    var add = function(type, element) {
+        var id = toInteger(element.id);
+
+        if (!seen[type][id]) {
+            seen[type][id] = true;
+            graph[type].push(element);
+        }
+    };
+
+    result.data.forEach(function(data) {
+        data.graph.nodes.forEach(function(node) {
+            add('nodes', {
+                'id': toInteger(node.id),
+                'labels': node.labels || [],
+                'properties': node.properties || {}
+            });
+        });
+
+        data.graph.relationships.forEach(function(relationship) {
+            add('relationships', {
+                'id': toInteger(relationship.id),
+                'type': relationship.type,
+                'startNode': toInteger(relationship.startNode),
+                'endNode': toInteger(relationship.endNode),
+                'properties': relationship.properties || {}
+            });
+        });
+    });
+
+    return graph;
+}
+
+function hasGraph(result) {
+    return result.data.some(function(data) {
+        return data.graph !== undefined;
+    });
+}
+
+// Build a graph for each statement from its results. Statements that didn't
+// ask for the `graph` format, or which returned no rows, get an empty graph.
+// If no statement asked for the `graph` format `undefined` is returned.
+
+function graphs(results) {
+    try {
+        if (!results.some(hasGraph)) {
+            return undefined;
+        }
+
+        return results.map(function(result) {
+            return hasGraph(result) ?
+                merge(result) : { 'nodes': [], 'relationships': [] };
+        });
+    } catch (err) {
+        return undefined;
+    }
+}
+
+module.exports.entity = entity;
+module.exports.graphs = graphs;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
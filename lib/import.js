@@ -0,0 +1,645 @@
+var fs = require('fs');
+var path = require('path');
+var StringDecoder = require('string_decoder').StringDecoder;
+var async = require('async');
+
+var escape = require('./escape.js');
+
+// Files of CSV or newline delimited JSON (NDJSON) are imported by reading them
+// on the application host, mapping each record to nodes and relationships with
+// a declarative mapping, and writing them through `bulk`, so the file never has
+// to be on the database host as it does for `LOAD CSV`.
+//
+// ```
+// db.importData('people.csv', {
+//     'nodes': [{
+//         'label': 'Person',
+//         'key': 'id',
+//         'properties': {
+//             'id': { 'column': 'person_id', 'type': 'integer' },
+//             'name': 'name'
+//         }
+//     }, {
+//         'label': 'Company',
+//         'key': 'name',
+//         'properties': { 'name': 'employer' }
+//     }],
+//     'relationships': [{
+//         'type': 'WORKS_AT',
+//         'from': { 'label': 'Person', 'key': 'id', 'column': 'person_id',
+//             'type': 'integer' },
+//         'to': { 'label': 'Company', 'key': 'name', 'column': 'employer' },
+//         'properties': { 'since': { 'column': 'started', 'type': 'integer' } }
+//     }]
+// }, callback);
+// ```
+//
+// Each node mapping has a `label` and `properties`, which map property names to
+// either a column name or an object with a `column` and a `type`. Types are
+// `string`, `integer`, `float`, `boolean` or `json`, and values are left as
+// they are if no type is given. Empty values are left out. If the mapping has
+// a `key`, the property that identifies the node, nodes are merged on the key
+// so the same file can be imported more than once; otherwise a node is created
+// for every record. Records without a key are skipped.
+//
+// Each relationship mapping has a `type`, `properties` and the `from` and `to`
+// nodes, each with the `label` and `key` property of the node and the `column`,
+// and optionally the `type`, of the value of the key. The nodes are matched and
+// the relationship between them merged. Records without either key are
+// skipped.
+//
+// Mappings are named by their label or type, unless given a `name`. Records are
+// read in chunks, and within a chunk all nodes are written before any
+// relationships, so relationships can refer to nodes from the same file.
+//
+// `source` is either a file name or a readable stream. The following options
+// are supported:
+//
+// * `format` - `csv` or `ndjson`, worked out from the extension of the file
+//   name if not given
+// * `delimiter` - the CSV field delimiter, defaults to `,`
+// * `columns` - the CSV column names, if the file doesn't start with a header
+// * `batchSize` - the number of rows in each statement, defaults to `1000`
+// * `concurrency` - the number of statements sent at once, defaults to `1`
+// * `continueOnError` - if `true` the import carries on after a record can't
+//   be converted or a batch fails
+// * `progress` - a function called after each chunk of records with the
+//   number of `records` read, the number of rows `written` for each mapping
+//   and the number of `failures` so far
+//
+// The callback is passed any error and a summary with the number of `records`
+// read, the number of rows `written` for each mapping and the `failures`. Each
+// failure has the `error` and either the `record` that couldn't be converted
+// or the `mapping` and `records` of a batch that failed. Records are numbered
+// from zero, not counting a CSV header.
+
+var formats = {
+    '.csv': 'csv',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson'
+};
+
+var defaults = {
+    'batchSize': 1000,
+    'concurrency': 1,
+    'continueOnError': false,
+    'delimiter': ','
+};
+
+function settings(options) {
+    var result = copy(options);
+
+    Object.keys(defaults).forEach(function(key) {
+        if (result[key] === undefined) {
+            result[key] = defaults[key];
+        }
+    });
+
+    return result;
+}
+
+function copy(object) {
+    var result = {};
+
+    Object.keys(object).forEach(function(key) {
+        result[key] = object[key];
+    });
+
+    return result;
+}
+
+// ## Parsing
+//
+// Both parsers are given the file a piece at a time through `write`, which
+// returns the records completed by that piece, and `end`, which returns any
+// remaining record. Both throw if the input is invalid.
+
+// CSV follows RFC 4180: fields containing the delimiter, quotes or line breaks
+// are quoted, and quotes within them are doubled.
+
+function csv(options) {
+    var delimiter = options.delimiter;
+    var columns = options.columns;
+    var record = [];
+    var field = '';
+    var quoted = false;
+    var closing = false;
+    var records = [];
+
+    var push = function() {
+        record.push(field);
+        field = '';
+    };
+
+    var complete = function() {
+        push();
+
+        if (record.length > 1 || record[0] !== '') {
+            records.push(record);
+        }
+
+        record = [];
+    };
+
+    var character = function(c) {
+        if (closing) {
+            closing = false;
+
+            if (c === '"') {
+                field += c;
+                return;
+            }
+
+            quoted = false;
+        }
+
+        if (quoted) {
+            if (c === '"') {
+                closing = true;
+            } else {
+                field += c;
+            }
+        } else if (c === '"' && field === '') {
+            quoted = true;
+        } else if (c === delimiter) {
+            push();
+        } else if (c === '\n') {
+            complete();
+        } else if (c !== '\r') {
+            field += c;
+        }
+    };
+
+    // Turn the completed records into objects keyed by column, taking the
+    // column names from the first record if they weren't given.
+
+    var objects = function() {
+        var result = [];
+
+        records.forEach(function(values) {
+            if (!columns) {
+                columns = values;
+                return;
+            }
+
+            var object = {};
+
+            columns.forEach(function(column, index) {
+                object[column] = values[index];
+            });
+
+            result.push(object);
+        });
+
+        records = [];
+        return result;
+    };
+
+    return {
+        'write': function(text) {
+            for (var i = 0; i < text.length; i++) {
+                character(text[i]);
+            }
+
+            return objects();
+        },
+        'end': function() {
+            if (quoted && !closing) {
+                throw new Error('Unterminated quoted field in CSV');
+            }
+
+            quoted = closing = false;
+            complete();
+
+            return objects();
+        }
+    };
+}
+
+// Each line of NDJSON is a JSON object. Blank lines are ignored.
+
+function ndjson() {
+    var buffer = '';
+    var line = 0;
+
+    var parse = function(lines) {
+        var result = [];
+
+        lines.forEach(function(text) {
+            var value;
+
+            line++;
+
+            if (text.trim() === '') {
+                return;
+            }
+
+            try {
+                value = JSON.parse(text);
+            } catch (err) {
+                throw new Error('Invalid JSON on line ' + line + ': ' +
+                    err.message);
+            }
+
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error('Expected an object on line ' + line);
+            }
+
+            result.push(value);
+        });
+
+        return result;
+    };
+
+    return {
+        'write': function(text) {
+            var lines = (buffer + text).split('\n');
+
+            buffer = lines.pop();
+            return parse(lines);
+        },
+        'end': function() {
+            var text = buffer;
+
+            buffer = '';
+            return parse([text]);
+        }
+    };
+}
+
+var parsers = {
+    'csv': csv,
+    'ndjson': ndjson
+};
+
+// ## Mapping
+
+function property(spec) {
+    return typeof spec === 'string' ? { 'column': spec } : spec;
+}
+
+// Convert a value to `type`. Empty values are returned as `undefined` so they
+// are left out.
+
+function convert(value, type, column) {
+    var result;
+
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+
+    switch (type) {
+        case 'string':
+            return String(value);
+        case 'integer':
+            result = typeof value === 'number' ? value : Number(value);
+            break;
+        case 'float':
+            result = typeof value === 'number' ? value : parseFloat(value);
+            break;
+        case 'boolean':
+            if (typeof value === 'boolean') {
+                return value;
+            }
+
+            return (/^(true|yes|y|1)$/i).test(String(value).trim());
+        case 'json':
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        default:
+            return value;
+    }
+
+    if (isNaN(result) || (type === 'integer' && result % 1 !== 0)) {
+        throw new Error('Invalid ' + type + ' ' + JSON.stringify(value) +
+            ' in column ' + column);
+    }
+
+    return result;
+}
+
+function properties(specs, record) {
+    var result = {};
+
+    Object.keys(specs || {}).forEach(function(name) {
+        var spec = property(specs[name]);
+        var value = convert(record[spec.column], spec.type, spec.column);
+
+        if (value !== undefined) {
+            result[name] = value;
+        }
+    });
+
+    return result;
+}
+
+// Compile a node mapping into a named statement and a function that maps a
+// record to the row for the statement, or `undefined` to skip the record.
+
+function node(mapping) {
+    if (!mapping.label) {
+        throw new Error('Node mappings must have a label');
+    }
+
+    var label = escape(String(mapping.label));
+
+    if (mapping.key === undefined) {
+        return {
+            'name': mapping.name || mapping.label,
+            'statement': 'CREATE (n:' + label + ') SET n = row.properties',
+            'row': function(record) {
+                return { 'properties': properties(mapping.properties, record) };
+            }
+        };
+    }
+
+    return {
+        'name': mapping.name || mapping.label,
+        'statement': 'MERGE (n:' + label + ' {' + escape(String(mapping.key)) +
+            ': row.key}) SET n += row.properties',
+        'row': function(record) {
+            var values = properties(mapping.properties, record);
+
+            if (values[mapping.key] === undefined) {
+                return undefined;
+            }
+
+            return { 'key': values[mapping.key], 'properties': values };
+        }
+    };
+}
+
+function endpoint(spec, variable) {
+    return '(' + variable + ':' + escape(String(spec.label)) + ' {' +
+        escape(String(spec.key)) + ': row.' + variable + '})';
+}
+
+function relationship(mapping) {
+    var ends = [mapping.from, mapping.to];
+
+    if (!mapping.type) {
+        throw new Error('Relationship mappings must have a type');
+    }
+
+    ends.forEach(function(spec) {
+        if (!spec || !spec.label || !spec.key || !spec.column) {
+            throw new Error('The nodes of relationship ' + mapping.type +
+                ' must have a label, key and column');
+        }
+    });
+
+    return {
+        'name': mapping.name || mapping.type,
+        'statement': 'MATCH ' + endpoint(mapping.from, 'from') + ', ' +
+            endpoint(mapping.to, 'to') + ' MERGE (from)-[r:' +
+            escape(String(mapping.type)) + ']->(to) SET r += row.properties',
+        'row': function(record) {
+            var from = convert(record[mapping.from.column], mapping.from.type,
+                mapping.from.column);
+            var to = convert(record[mapping.to.column], mapping.to.type,
+                mapping.to.column);
+
+            if (from === undefined || to === undefined) {
+                return undefined;
+            }
+
+            return {
+                'from': from,
+                'to': to,
+                'properties': properties(mapping.properties, record)
+            };
+        }
+    };
+}
+
+function compile(mapping) {
+    return (mapping.nodes || []).map(node).concat(
+        (mapping.relationships || []).map(relationship));
+}
+
+// ## Importing
+
+function run(db, source, mapping, options, callback) {
+    var file = typeof source === 'string';
+    var format;
+    var parser;
+    var plan;
+
+    options = settings(options);
+    format = options.format ||
+        (file && formats[path.extname(source).toLowerCase()]);
+
+    try {
+        if (!parsers[format]) {
+            throw new Error('Unknown import format ' + (format || 'for ' +
+                (file ? source : 'stream')) + ', expected csv or ndjson');
+        }
+
+        parser = parsers[format](options);
+        plan = compile(mapping);
+    } catch (err) {
+        return callback(err);
+    }
+
+    var stream = file ? fs.createReadStream(source) : source;
+    var decoder = new StringDecoder('utf8');
+    var summary = { 'records': 0, 'written': {}, 'failures': [] };
+    var pending = [];
+    var writing = false;
+    var ended = false;
+    var finished = false;
+
+    plan.forEach(function(step) {
+        summary.written[step.name] = 0;
+    });
+
+    var finish = function(err) {
+        if (finished) {
+            return;
+        }
+
+        finished = true;
+        stream.removeListener('data', read);
+        stream.removeListener('end', end);
+        stream.removeListener('error', finish);
+
+        if (err) {
+            err.summary = summary;
+
+            if (file) {
+                stream.destroy();
+            }
+        }
+
+        callback(err, summary);
+    };
+
+    // Map the records to rows for `step`, keeping the number of the record
+    // each row came from.
+
+    var rows = function(step, records) {
+        var result = { 'rows': [], 'records': [] };
+
+        records.forEach(function(record) {
+            var row;
+
+            try {
+                row = step.row(record.values);
+            } catch (err) {
+                record.error = record.error || err;
+                return;
+            }
+
+            if (row) {
+                result.rows.push(row);
+                result.records.push(record.number);
+            }
+        });
+
+        return result;
+    };
+
+    var write = function(step, records, done) {
+        var mapped = rows(step, records);
+        var batches = {
+            'batchSize': options.batchSize,
+            'concurrency': options.concurrency,
+            'continueOnError': options.continueOnError
+        };
+
+        db.bulk(step.statement, mapped.rows, batches, function(err, result) {
+            summary.written[step.name] += result.completed;
+            result.failures.forEach(function(failure) {
+                summary.failures.push({
+                    'mapping': step.name,
+                    'records': mapped.records.slice(failure.start,
+                        failure.start + failure.rows),
+                    'error': failure.error
+                });
+            });
+
+            done(err);
+        });
+    };
+
+    // Check the records convert before writing any of them, so a bad record
+    // stops the import before anything from its chunk is written.
+
+    var check = function(records) {
+        plan.forEach(function(step) {
+            rows(step, records);
+        });
+
+        return records.filter(function(record) {
+            if (!record.error) {
+                return true;
+            }
+
+            record.error.message = 'Error in record ' + record.number + ': ' +
+                record.error.message;
+            summary.failures.push({
+                'record': record.number,
+                'error': record.error
+            });
+
+            return false;
+        });
+    };
+
+    var flush = function(done) {
+        var failures = summary.failures.length;
+        var records = check(pending.splice(0));
+
+        if (summary.failures.length > failures && !options.continueOnError) {
+            return done(summary.failures[failures].error);
+        }
+
+        async.eachSeries(plan, function(step, next) {
+            write(step, records, next);
+        }, function(err) {
+            if (!err && options.progress) {
+                options.progress({
+                    'records': summary.records,
+                    'written': copy(summary.written),
+                    'failures': summary.failures.length
+                });
+            }
+
+            done(err);
+        });
+    };
+
+    var add = function(records) {
+        records.forEach(function(values) {
+            pending.push({ 'number': summary.records++, 'values': values });
+        });
+    };
+
+    var read = function(chunk) {
+        try {
+            add(parser.write(decoder.write(chunk)));
+        } catch (err) {
+            return finish(err);
+        }
+
+        if (pending.length < options.batchSize * options.concurrency) {
+            return;
+        }
+
+        writing = true;
+        stream.pause();
+        flush(function(err) {
+            writing = false;
+
+            if (err) {
+                return finish(err);
+            }
+
+            if (ended) {
+                return end();
+            }
+
+            stream.resume();
+        });
+    };
+
+    var end = function() {
+        ended = true;
+
+        if (writing || finished) {
+            return;
+        }
+
+        try {
+            add(parser.write(decoder.end()));
+            add(parser.end());
+        } catch (err) {
+            return finish(err);
+        }
+
+        flush(finish);
+    };
+
+    stream.on('data', read);
+    stream.on('end', end);
+    stream.on('error', finish);
+}
+
+module.exports.run = run;
+module.exports.csv = csv;
+module.exports.ndjson = ndjson;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
@@ -0,0 +1,432 @@
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var async = require('async');
+
+var escape = require('./escape.js');
+var promisify = require('./promisify.js');
+
+// `Migrations` applies versioned Cypher scripts to a database, keeping track of
+// which have been applied in the graph itself. Migrations are `.cypher` files
+// in a directory, named with a version number and a description:
+//
+// ```
+// migrations/
+//     001_person_index.cypher
+//     002_company_names.cypher
+//     002_company_names.down.cypher
+// ```
+//
+// Migrations are applied in order of their version. A file ending in
+// `.down.cypher` undoes the migration with the same version, and is needed to
+// migrate down past it. Statements in a file are separated by semicolons, and
+// comments are removed.
+//
+// Each migration is applied in its own transaction with `begin` and `commit`,
+// and recorded as a node, labelled `Migration` by default, with its `version`,
+// `name`, `checksum` and the time it was applied at, `appliedAt`. The node is
+// created in the same transaction, except for migrations that change the
+// schema. Neo4j won't change data in a transaction that has changed the
+// schema, so these are recorded in a second transaction straight after.
+//
+// The checksum of each applied migration is checked against its file before
+// migrating, and if any have changed nothing is run, as the database no longer
+// matches the scripts.
+//
+// ```
+// var migrations = db.migrations('migrations');
+//
+// migrations.up(function(err, applied) {
+//     ...
+// });
+// ```
+//
+// The following options are supported:
+//
+// * `label` - the label of the nodes migrations are recorded as, defaults to
+//   `Migration`
+//
+// Every method returns a Promise if no callback is given.
+
+var pattern = /^(\d+)[_\-](.+?)(\.down)?\.cypher$/;
+var schema = /^\s*(create|drop)\s+(index|constraint)\b/i;
+
+function Migrations(db, directory, options) {
+    options = options || {};
+
+    this.db = db;
+    this.directory = directory;
+    this.label = options.label || 'Migration';
+}
+
+// Split a script into statements on the semicolons outside of strings,
+// identifiers and comments. Comments are removed.
+
+function split(script) {
+    var statements = [];
+    var statement = '';
+    var quote;
+
+    for (var i = 0; i < script.length; i++) {
+        var c = script[i];
+        var next = script[i + 1];
+
+        if (quote) {
+            statement += c;
+
+            if (c === '\\' && quote !== '`') {
+                statement += next || '';
+                i++;
+            } else if (c === quote) {
+                quote = undefined;
+            }
+        } else if (c === '/' && next === '/') {
+            i = script.indexOf('\n', i) - 1;
+            i = i < 0 ? script.length : i;
+        } else if (c === '/' && next === '*') {
+            i = script.indexOf('*/', i + 2) + 1;
+            i = i < 1 ? script.length : i;
+        } else if (c === ';') {
+            statements.push(statement);
+            statement = '';
+        } else {
+            quote = '\'"`'.indexOf(c) === -1 ? undefined : c;
+            statement += c;
+        }
+    }
+
+    statements.push(statement);
+
+    return statements.map(function(text) {
+        return text.trim();
+    }).filter(function(text) {
+        return text !== '';
+    });
+}
+
+function checksum(script) {
+    return crypto.createHash('sha256').update(script).digest('hex');
+}
+
+// Load the migrations in the directory, in order of version. Each migration has
+// a `version`, `name`, the `up` script and its `checksum`, and the `down`
+// script, if there is one.
+
+Migrations.prototype.load = promisify.single(function(callback) {
+    var directory = this.directory;
+
+    fs.readdir(directory, function(err, files) {
+        var migrations = {};
+
+        if (err) {
+            return callback(err);
+        }
+
+        try {
+            files.sort().forEach(function(file) {
+                var match = file.match(pattern);
+
+                if (!match) {
+                    return;
+                }
+
+                var version = match[1];
+                var direction = match[3] ? 'down' : 'up';
+                var script = fs.readFileSync(path.join(directory, file),
+                    'utf8');
+                var migration = migrations[Number(version)] =
+                    migrations[Number(version)] ||
+                    { 'version': version, 'name': match[2] };
+
+                if (migration[direction] !== undefined ||
+                        migration.version !== version) {
+                    throw new Error('Duplicate migration version ' + version);
+                }
+
+                migration[direction] = script;
+
+                if (direction === 'up') {
+                    migration.name = match[2];
+                    migration.checksum = checksum(script);
+                }
+            });
+        } catch (e) {
+            return callback(e);
+        }
+
+        var ordered = Object.keys(migrations).sort(function(a, b) {
+            return a - b;
+        }).map(function(key) {
+            return migrations[key];
+        });
+
+        var orphan = ordered.filter(function(migration) {
+            return migration.up === undefined;
+        })[0];
+
+        if (orphan) {
+            return callback(new Error('Down migration ' + orphan.version +
+                ' has no up migration'));
+        }
+
+        callback(null, ordered);
+    });
+});
+
+// Find the migrations that have been applied, in order of version.
+
+Migrations.prototype.applied = promisify.single(function(callback) {
+    var statement = 'MATCH (m:' + escape(this.label) + ') RETURN ' +
+        'm.version AS version, m.name AS name, m.checksum AS checksum, ' +
+        'm.appliedAt AS appliedAt';
+
+    this.db.query(statement, function(err, results) {
+        if (err) {
+            return callback(err);
+        }
+
+        callback(null, results[0].sort(function(a, b) {
+            return Number(a.version) - Number(b.version);
+        }));
+    });
+});
+
+// Report the state of every migration, in order of version. Each has its
+// `version`, `name`, `appliedAt` if it has been applied, the `migration` as
+// returned by `load` if its file exists, and its `state`:
+//
+// * `applied` - the migration has been applied
+// * `pending` - the migration has not been applied
+// * `changed` - the migration has been applied but its file has changed since
+// * `missing` - the migration has been applied but its file no longer exists
+
+Migrations.prototype.status = promisify.single(function(callback) {
+    var self = this;
+
+    async.parallel([
+        function(done) { self.load(done); },
+        function(done) { self.applied(done); }
+    ], function(err, found) {
+        if (err) {
+            return callback(err);
+        }
+
+        var applied = {};
+        var status = {};
+
+        found[1].forEach(function(migration) {
+            applied[Number(migration.version)] = migration;
+            status[Number(migration.version)] = {
+                'version': migration.version,
+                'name': migration.name,
+                'appliedAt': migration.appliedAt,
+                'state': 'missing'
+            };
+        });
+
+        found[0].forEach(function(migration) {
+            var record = applied[Number(migration.version)];
+            var state = 'pending';
+
+            if (record) {
+                state = record.checksum === migration.checksum ?
+                    'applied' : 'changed';
+            }
+
+            status[Number(migration.version)] = {
+                'version': migration.version,
+                'name': migration.name,
+                'appliedAt': record && record.appliedAt,
+                'state': state,
+                'migration': migration
+            };
+        });
+
+        callback(null, Object.keys(status).sort(function(a, b) {
+            return a - b;
+        }).map(function(key) {
+            return status[key];
+        }));
+    });
+});
+
+// Find the status of the migrations, failing if any applied migration has
+// changed.
+
+function verify(migrations, callback) {
+    migrations.status(function(err, status) {
+        if (err) {
+            return callback(err);
+        }
+
+        var changed = status.filter(function(migration) {
+            return migration.state === 'changed';
+        });
+
+        if (changed.length > 0) {
+            return callback(new Error('The checksum of applied migration' +
+                (changed.length > 1 ? 's ' : ' ') + changed.map(function(m) {
+                    return m.version + '_' + m.name;
+                }).join(', ') + (changed.length > 1 ? ' have' : ' has') +
+                ' changed'));
+        }
+
+        callback(null, status);
+    });
+}
+
+// Run `script` in a transaction, along with `record`, which records the
+// migration, or removes the record of it.
+
+function run(db, script, record, callback) {
+    var statements = split(script).map(function(statement) {
+        return { 'statement': statement };
+    });
+    var changesSchema = statements.some(function(statement) {
+        return schema.test(statement.statement);
+    });
+
+    db.begin(statements, function(err, results, info) {
+        if (err) {
+            return callback(err);
+        }
+
+        if (!changesSchema) {
+            return db.commit(info.transactionID, [record], callback);
+        }
+
+        db.commit(info.transactionID, function(err) {
+            if (err) {
+                return callback(err);
+            }
+
+            db.query([record], callback);
+        });
+    });
+}
+
+// Apply the pending migrations in order, up to and including `version` if it
+// is given. The callback is passed any error and the migrations applied.
+
+Migrations.prototype.up = promisify.single(function(version, callback) {
+    var self = this;
+    var label = escape(this.label);
+    var applied = [];
+
+    if (typeof version === 'function') {
+        callback = version;
+        version = undefined;
+    }
+
+    verify(this, function(err, status) {
+        if (err) {
+            return callback(err);
+        }
+
+        var pending = status.filter(function(migration) {
+            return migration.state === 'pending' &&
+                (version === undefined ||
+                    Number(migration.version) <= Number(version));
+        });
+
+        async.eachSeries(pending, function(migration, next) {
+            var record = {
+                'statement': 'CREATE (m:' + label + ' { version: {version}, ' +
+                    'name: {name}, checksum: {checksum}, ' +
+                    'appliedAt: timestamp() })',
+                'parameters': {
+                    'version': migration.version,
+                    'name': migration.name,
+                    'checksum': migration.migration.checksum
+                }
+            };
+
+            run(self.db, migration.migration.up, record, function(err) {
+                if (err) {
+                    err.migration = migration.version + '_' + migration.name;
+                    return next(err);
+                }
+
+                applied.push(migration.migration);
+                next();
+            });
+        }, function(err) {
+            callback(err, applied);
+        });
+    });
+});
+
+// Undo applied migrations, newest first, down to but not including `version`.
+// If no version is given only the last migration is undone. The callback is
+// passed any error and the migrations undone.
+
+Migrations.prototype.down = promisify.single(function(version, callback) {
+    var self = this;
+    var label = escape(this.label);
+    var reverted = [];
+
+    if (typeof version === 'function') {
+        callback = version;
+        version = undefined;
+    }
+
+    verify(this, function(err, status) {
+        if (err) {
+            return callback(err);
+        }
+
+        var undo = status.filter(function(migration) {
+            return migration.state !== 'pending' &&
+                (version === undefined ||
+                    Number(migration.version) > Number(version));
+        }).reverse();
+
+        undo = version === undefined ? undo.slice(0, 1) : undo;
+
+        async.eachSeries(undo, function(migration, next) {
+            var name = migration.version + '_' + migration.name;
+            var record = {
+                'statement': 'MATCH (m:' + label + ' { version: {version} }) ' +
+                    'DELETE m',
+                'parameters': { 'version': migration.version }
+            };
+
+            if (!migration.migration ||
+                    migration.migration.down === undefined) {
+                return next(new Error('Migration ' + name + ' has no down ' +
+                    'migration'));
+            }
+
+            run(self.db, migration.migration.down, record, function(err) {
+                if (err) {
+                    err.migration = name;
+                    return next(err);
+                }
+
+                reverted.push(migration.migration);
+                next();
+            });
+        }, function(err) {
+            callback(err, reverted);
+        });
+    });
+});
+
+module.exports = Migrations;
+module.exports.split = split;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
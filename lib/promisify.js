@@ -0,0 +1,71 @@
+// `promisify` wraps a function that takes a callback as its last argument so
+// that it will return a Promise if the callback is omitted. The Promise resolves
+// to an object holding the `results` and `info` that would have been passed to
+// the callback, and rejects with the error that would have been passed to the
+// callback. As the `info` object would otherwise be lost it is attached to the
+// error as `info`.
+//
+// `promisify.single` does the same for functions that pass a single result to
+// their callback, such as `beginTransaction`. The Promise resolves to that
+// result.
+
+// Call `method` with the callback if there is one, otherwise return a Promise
+// which is settled by `settle` with the arguments the callback was passed.
+
+function wrap(method, settle) {
+    return function() {
+        var self = this;
+        var args = Array.prototype.slice.call(arguments);
+
+        if (typeof args[args.length - 1] === 'function') {
+            return method.apply(self, args);
+        }
+
+        return new Promise(function(resolve, reject) {
+            args.push(function() {
+                settle(resolve, reject, arguments);
+            });
+
+            method.apply(self, args);
+        });
+    };
+}
+
+function promisify(method) {
+    return wrap(method, function(resolve, reject, values) {
+        var err = values[0];
+
+        if (err) {
+            if (err instanceof Error) {
+                err.info = values[2];
+            }
+            return reject(err);
+        }
+
+        resolve({ 'results': values[1], 'info': values[2] });
+    });
+}
+
+promisify.single = function(method) {
+    return wrap(method, function(resolve, reject, values) {
+        return values[0] ? reject(values[0]) : resolve(values[1]);
+    });
+};
+
+module.exports = promisify;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
\ No newline at end of file
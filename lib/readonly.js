@@ -0,0 +1,49 @@
+// Queries can be run in read only mode, in which case statements containing a
+// write clause are refused before they are sent to Neo4j. This is a guard
+// against mistakes rather than a security feature, so it errs on the side of
+// caution. String literals, comments, quoted identifiers, properties, labels
+// and parameters are ignored, but a variable named after a write clause, such
+// as `set`, will cause a statement to be refused.
+
+var clauses = /(^|[^\w.$:])(create|merge|set|delete|remove|drop|load\s+csv)(?![\w$])(?!\s*[:}])/i;
+var literals = /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`[^`]*`|\/\/[^\n]*|\/\*[\s\S]*?\*\//g;
+
+// Return the first write clause in `query`, if there is one, in upper case.
+
+function findWrite(query) {
+    var match = String(query).replace(literals, ' ').match(clauses);
+
+    return match ? match[2].toUpperCase().replace(/\s+/, ' ') : undefined;
+}
+
+// Return an error if any of the `statements` contains a write clause.
+
+function check(statements) {
+    for (var i = 0; i < statements.length; i++) {
+        var clause = findWrite(statements[i].statement);
+
+        if (clause) {
+            return new Error('Error, write clause ' + clause + ' in statement ' +
+                i + ' is not allowed in read only mode');
+        }
+    }
+}
+
+module.exports.findWrite = findWrite;
+module.exports.check = check;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
\ No newline at end of file
@@ -0,0 +1,329 @@
+var readline = require('readline');
+var async = require('async');
+
+var Neo4j = require('../neo4j.js');
+var Migrations = require('./migrations.js');
+var formats = require('./format.js');
+
+// The REPL runs Cypher typed at a prompt and prints the results as tables,
+// along with how long they took. Statements can span several lines and are run
+// when a line ends with a semicolon. Lines starting with a colon are commands:
+//
+// * `:begin` - begin a transaction, which the following statements run in
+// * `:commit` - commit the transaction
+// * `:rollback` - roll back the transaction
+// * `:param name value` - set a parameter, the value is parsed as JSON if it is
+//   valid JSON. Without a value the parameter is removed, and without a name
+//   the parameters are listed.
+// * `:sub name value` - set a `${name}` substitution, in the same way
+// * `:help` - list the commands
+// * `:exit` - leave the REPL, rolling back any open transaction
+//
+// A `Repl` handles a line at a time through `line`, and `start` reads lines
+// from a stream. The REPL is started by the `repl` command of
+// `rainbird-neo4j`.
+
+var help = [
+    'Statements end with a semicolon at the end of a line. Commands:',
+    '',
+    '  :begin              begin a transaction',
+    '  :commit             commit the transaction',
+    '  :rollback           roll back the transaction',
+    '  :param name value   set a parameter, or list them with :param',
+    '  :sub name value     set a substitution, or list them with :sub',
+    '  :help               show this help',
+    '  :exit               leave, rolling back any open transaction'
+].join('\n') + '\n';
+
+function Repl(db, output, options) {
+    options = options || {};
+
+    this.db = db;
+    this.output = output;
+    this.lines = [];
+    this.parameters = options.parameters || {};
+    this.substitutions = options.substitutions || {};
+    this.transaction = undefined;
+}
+
+// The prompt, which shows whether a transaction is open or a statement is
+// being continued.
+
+Repl.prototype.prompt = function() {
+    if (this.lines.length > 0) {
+        return '     ...> ';
+    }
+
+    return this.transaction ? 'neo4j(' + this.transaction.id + ')> ' :
+        'neo4j> ';
+};
+
+// Handle a line of input. The callback is passed `true` if the REPL should
+// exit.
+
+Repl.prototype.line = function(text, callback) {
+    var script;
+
+    if (this.lines.length === 0 && /^\s*:/.test(text)) {
+        return command(this, text.trim().slice(1), callback);
+    }
+
+    if (this.lines.length === 0 && text.trim() === '') {
+        return callback(false);
+    }
+
+    this.lines.push(text);
+
+    if (!/;\s*$/.test(text)) {
+        return callback(false);
+    }
+
+    script = this.lines.join('\n');
+    this.lines = [];
+
+    execute(this, script, callback);
+};
+
+function print(repl, text) {
+    repl.output.write(text + '\n');
+}
+
+// Report an error, noting if it closed the transaction.
+
+function fail(repl, err) {
+    print(repl, 'Error: ' + err.message);
+
+    if (repl.transaction && !repl.transaction.isOpen()) {
+        print(repl, 'Transaction ' + repl.transaction.id + ' rolled back');
+        repl.transaction = undefined;
+    }
+}
+
+function execute(repl, script, callback) {
+    var started = Date.now();
+    var target = repl.transaction || repl.db;
+
+    async.mapSeries(Migrations.split(script), function(statement, next) {
+        Neo4j.compose(statement, repl.substitutions, repl.parameters, next);
+    }, function(err, statements) {
+        if (err) {
+            fail(repl, err);
+            return callback(false);
+        }
+
+        target.query(statements, function(err, results) {
+            if (err) {
+                fail(repl, err);
+                return callback(false);
+            }
+
+            repl.output.write(formats.table(results));
+            print(repl, 'Completed in ' + (Date.now() - started) + ' ms');
+            callback(false);
+        });
+    });
+}
+
+// Set or list parameters or substitutions in `values`.
+
+function set(repl, values, args, json) {
+    var match = args.match(/^(\S+)(?:\s+([\s\S]*))?$/);
+    var value;
+
+    if (!match) {
+        return Object.keys(values).forEach(function(name) {
+            print(repl, name + ': ' + JSON.stringify(values[name]));
+        });
+    }
+
+    if (match[2] === undefined) {
+        delete values[match[1]];
+        return;
+    }
+
+    value = match[2];
+
+    if (json) {
+        try {
+            value = JSON.parse(value);
+        } catch (err) {
+            value = match[2];
+        }
+    }
+
+    values[match[1]] = value;
+}
+
+var commands = {
+    'begin': function(repl, args, callback) {
+        if (repl.transaction) {
+            print(repl, 'Transaction ' + repl.transaction.id +
+                ' is already open');
+            return callback(false);
+        }
+
+        repl.db.beginTransaction(function(err, transaction) {
+            if (err) {
+                fail(repl, err);
+            } else {
+                repl.transaction = transaction;
+                print(repl, 'Began transaction ' + transaction.id);
+            }
+
+            callback(false);
+        });
+    },
+    'commit': function(repl, args, callback) {
+        finish(repl, 'commit', 'Committed', callback);
+    },
+    'rollback': function(repl, args, callback) {
+        finish(repl, 'rollback', 'Rolled back', callback);
+    },
+    'param': function(repl, args, callback) {
+        set(repl, repl.parameters, args, true);
+        callback(false);
+    },
+    'sub': function(repl, args, callback) {
+        set(repl, repl.substitutions, args, false);
+        callback(false);
+    },
+    'help': function(repl, args, callback) {
+        repl.output.write(help);
+        callback(false);
+    },
+    'exit': function(repl, args, callback) {
+        callback(true);
+    }
+};
+
+// Commit or roll back the open transaction.
+
+function finish(repl, method, done, callback) {
+    var transaction = repl.transaction;
+
+    if (!transaction) {
+        print(repl, 'No transaction is open');
+        return callback(false);
+    }
+
+    transaction[method](function(err) {
+        if (err) {
+            fail(repl, err);
+        } else {
+            repl.transaction = undefined;
+            print(repl, done + ' transaction ' + transaction.id);
+        }
+
+        callback(false);
+    });
+}
+
+function command(repl, text, callback) {
+    var name = text.split(/\s/)[0];
+    var args = text.slice(name.length).trim();
+
+    if (!commands.hasOwnProperty(name)) {
+        print(repl, 'Unknown command :' + name + ', type :help for help');
+        return callback(false);
+    }
+
+    commands[name](repl, args, callback);
+}
+
+// Read lines from `io.stdin` and write the results to `io.stdout` until the
+// input ends or `:exit` is typed. Any open transaction is then rolled back.
+// Prompts are only shown if the output is a terminal. `options` may hold the
+// initial `parameters` and `substitutions`.
+
+function start(db, io, options, callback) {
+    var repl = new Repl(db, io.stdout, options);
+    var terminal = !!io.stdout.isTTY;
+    var closed = false;
+    var exited = false;
+    var rl = readline.createInterface({
+        'input': io.stdin,
+        'output': terminal ? io.stdout : undefined,
+        'terminal': terminal
+    });
+
+    var prompt = function() {
+        if (terminal && !closed) {
+            rl.setPrompt(repl.prompt());
+            rl.prompt();
+        }
+    };
+
+    // Lines are handled one at a time, as a pasted statement or a file piped to
+    // the REPL arrives faster than it can be run.
+
+    var queue = async.queue(function(text, done) {
+        if (exited) {
+            return done();
+        }
+
+        repl.line(text, function(exit) {
+            if (exit) {
+                exited = true;
+                rl.close();
+            }
+
+            prompt();
+            done();
+        });
+    }, 1);
+
+    var end = function() {
+        if (!repl.transaction) {
+            return callback(null);
+        }
+
+        repl.transaction.rollback(function(err) {
+            if (!err) {
+                print(repl, 'Rolled back transaction ' + repl.transaction.id);
+            }
+
+            callback(err);
+        });
+    };
+
+    rl.on('line', function(text) {
+        if (!closed) {
+            queue.push(text);
+        }
+    });
+
+    rl.on('close', function() {
+        closed = true;
+
+        if (queue.idle()) {
+            return end();
+        }
+
+        queue.drain = end;
+    });
+
+    if (terminal) {
+        print(repl, 'Connected to ' + db.server + '. Type :help for help.');
+    }
+
+    prompt();
+}
+
+module.exports = Repl;
+module.exports.start = start;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
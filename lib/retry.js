@@ -0,0 +1,109 @@
+var errors = require('./errors.js');
+
+// Requests that fail because of a transient problem, such as a dropped
+// connection or a Neo4j instance that is briefly unavailable, can be retried
+// using a retry policy. A policy is built from the following options:
+//
+// * `maxAttempts` - the maximum number of attempts, including the first,
+//   defaults to `3`
+// * `delay` - the delay before the first retry in milliseconds, defaults to
+//   `100`
+// * `factor` - the factor the delay grows by for each retry, defaults to `2`
+// * `maxDelay` - the longest delay between retries, defaults to `5000`
+// * `jitter` - if `true`, the default, each delay is randomly reduced by up
+//   to half so that clients that failed together don't retry together
+// * `retryable` - either an array of error classes, or a function that is
+//   passed the error and returns `true` if it should be retried. By default
+//   `NetworkError`s, `TransientError`s, `UnavailableError`s and
+//   `ProtocolError`s caused by a `502`, `503` or `504` response are retried.
+
+var defaults = {
+    'maxAttempts': 3,
+    'delay': 100,
+    'factor': 2,
+    'maxDelay': 5000,
+    'jitter': true
+};
+
+var unavailable = [502, 503, 504];
+
+function retryable(err) {
+    return err instanceof errors.NetworkError ||
+        err instanceof errors.TransientError ||
+        err instanceof errors.UnavailableError ||
+        (err instanceof errors.ProtocolError &&
+            unavailable.indexOf(err.statusCode) !== -1);
+}
+
+function classes(constructors) {
+    return function(err) {
+        return constructors.some(function(Constructor) {
+            return err instanceof Constructor;
+        });
+    };
+}
+
+// Build a policy from `options`. `true` gives the default policy. If no options
+// are given then `undefined` is returned and nothing will be retried.
+
+function policy(options) {
+    if (!options) {
+        return undefined;
+    }
+
+    var result = {};
+
+    options = options === true ? {} : options;
+
+    Object.keys(defaults).forEach(function(key) {
+        result[key] = options[key] === undefined ? defaults[key] : options[key];
+    });
+
+    if (Array.isArray(options.retryable)) {
+        result.retryable = classes(options.retryable);
+    } else {
+        result.retryable = options.retryable || retryable;
+    }
+
+    return result;
+}
+
+// The delay in milliseconds before the next attempt, where `attempts` is the
+// number of attempts that have already been made.
+
+function backoff(policy, attempts) {
+    var wait = Math.min(policy.delay * Math.pow(policy.factor, attempts - 1),
+        policy.maxDelay);
+
+    if (policy.jitter) {
+        wait = wait / 2 + Math.random() * wait / 2;
+    }
+
+    return wait;
+}
+
+// Whether `err` should be retried after `attempts` attempts.
+
+function shouldRetry(policy, err, attempts) {
+    return !!policy && attempts < policy.maxAttempts && policy.retryable(err);
+}
+
+module.exports.policy = policy;
+module.exports.backoff = backoff;
+module.exports.shouldRetry = shouldRetry;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
@@ -0,0 +1,160 @@
+// The indexes and uniqueness constraints a database should have are described
+// by label, with the properties that should be indexed and those that should
+// be unique:
+//
+// ```
+// {
+//     'Person': { 'indexes': ['name'], 'unique': ['email'] },
+//     'Company': { 'unique': ['name'] }
+// }
+// ```
+//
+// `diff` compares a description with the indexes and constraints the database
+// has, as returned by `Neo4j.indexes` and `Neo4j.constraints`, and returns the
+// changes needed to bring the database in line. Each change has an `action`,
+// `create` or `drop`, a `type`, `index` or `constraint`, and the `label` and
+// `property`. Drops come before creates, as an index has to be dropped before
+// a uniqueness constraint can be created on the same property.
+//
+// Neo4j backs each uniqueness constraint with an index, so indexes on
+// constrained properties are left alone. Indexes and constraints on labels and
+// properties that aren't described are dropped, unless `options.drop` is
+// `false`. An index that stands in the way of a constraint is always dropped.
+
+function key(label, property) {
+    return JSON.stringify([label, property]);
+}
+
+// Turn a description into lists of the indexes and constraints it asks for,
+// checking that it is valid.
+
+function desired(spec) {
+    var result = { 'index': [], 'constraint': [] };
+
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('The schema must be an object of labels');
+    }
+
+    Object.keys(spec).forEach(function(label) {
+        var description = spec[label] || {};
+
+        if (label === '') {
+            throw new Error('Labels in the schema must not be empty');
+        }
+
+        [['indexes', 'index'], ['unique', 'constraint']].forEach(function(pair) {
+            var properties = description[pair[0]] || [];
+
+            if (!Array.isArray(properties)) {
+                throw new Error('The ' + pair[0] + ' of ' + label +
+                    ' must be an array of properties');
+            }
+
+            properties.forEach(function(property) {
+                if (typeof property !== 'string' || property === '') {
+                    throw new Error('The ' + pair[0] + ' of ' + label +
+                        ' must be non-empty property names');
+                }
+
+                result[pair[1]].push(key(label, property));
+            });
+        });
+    });
+
+    result.constraint.forEach(function(constraint) {
+        if (result.index.indexOf(constraint) !== -1) {
+            var parts = JSON.parse(constraint);
+
+            throw new Error('Property ' + parts[1] + ' of ' + parts[0] +
+                ' can\'t have both an index and a uniqueness constraint');
+        }
+    });
+
+    return result;
+}
+
+// The single property indexes and uniqueness constraints the database has.
+
+function existing(rules, type) {
+    return rules.filter(function(rule) {
+        return rule.properties.length === 1 &&
+            (type === undefined || rule.type === type);
+    }).map(function(rule) {
+        return key(rule.label, rule.properties[0]);
+    });
+}
+
+function change(action, type, id) {
+    var parts = JSON.parse(id);
+
+    return {
+        'action': action,
+        'type': type,
+        'label': parts[0],
+        'property': parts[1]
+    };
+}
+
+function diff(spec, indexes, constraints, options) {
+    var wanted = desired(spec);
+    var current = {
+        'constraint': existing(constraints, 'UNIQUENESS'),
+        'index': []
+    };
+    var drops = [];
+    var creates = [];
+
+    options = options || {};
+
+    var missing = function(list, from) {
+        return list.filter(function(id) {
+            return from.indexOf(id) === -1;
+        });
+    };
+
+    // Leave out the indexes that back constraints.
+
+    current.index = missing(existing(indexes), current.constraint);
+
+    missing(current.constraint, wanted.constraint).forEach(function(id) {
+        if (options.drop !== false) {
+            drops.push(change('drop', 'constraint', id));
+            current.constraint.splice(current.constraint.indexOf(id), 1);
+        }
+    });
+
+    missing(current.index, wanted.index).forEach(function(id) {
+        if (options.drop !== false || wanted.constraint.indexOf(id) !== -1) {
+            drops.push(change('drop', 'index', id));
+        }
+    });
+
+    missing(wanted.constraint, current.constraint).forEach(function(id) {
+        creates.push(change('create', 'constraint', id));
+    });
+
+    missing(missing(wanted.index, current.index), current.constraint)
+        .forEach(function(id) {
+            creates.push(change('create', 'index', id));
+        });
+
+    return drops.concat(creates);
+}
+
+module.exports.diff = diff;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
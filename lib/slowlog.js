@@ -0,0 +1,131 @@
+// Requests to the transactional endpoint that take longer than a threshold can
+// be reported by the slow query log. It is configured with the following
+// options:
+//
+// * `threshold` - the duration in milliseconds above which a request is
+//   reported, defaults to `1000`
+// * `log` - a function that is passed each report, defaults to writing a
+//   summary with `console.warn`
+// * `redact` - a function that is passed the name and value of each parameter
+//   and returns what should be reported in its place. By default only the type
+//   of each value is reported, as parameters often contain personal data.
+//
+// Each report has the following properties:
+//
+// * `duration` - the time the request took in milliseconds
+// * `threshold` - the threshold that was exceeded
+// * `endpoint` - the URI the request was sent to
+// * `transactionID` - the transaction ID, if known
+// * `statements` - an array of objects with the Cypher text of each statement
+//   as `statement` and its redacted parameters as `parameters`
+// * `error` - the error, if the request failed
+
+var defaults = {
+    'threshold': 1000,
+    'log': warn,
+    'redact': type
+};
+
+// Describe `value` by its type, e.g. `<string>`.
+
+function type(name, value) {
+    if (value === null) {
+        return '<null>';
+    }
+
+    return '<' + (Array.isArray(value) ? 'array' : typeof value) + '>';
+}
+
+function warn(report) {
+    var message = 'Slow query: ' + report.duration + 'ms';
+
+    if (report.transactionID !== undefined) {
+        message += ' in transaction ' + report.transactionID;
+    }
+
+    report.statements.forEach(function(statement) {
+        message += '\n  ' + statement.statement + ' ' +
+            JSON.stringify(statement.parameters);
+    });
+
+    console.warn(message);
+}
+
+// Build the slow query log settings from `options`. `true` gives the default
+// settings. If no options are given then `undefined` is returned and nothing
+// will be reported.
+
+function settings(options) {
+    if (!options) {
+        return undefined;
+    }
+
+    var result = {};
+
+    options = options === true ? {} : options;
+
+    Object.keys(defaults).forEach(function(key) {
+        result[key] = options[key] === undefined ? defaults[key] : options[key];
+    });
+
+    return result;
+}
+
+function redact(parameters, redactor) {
+    var result = {};
+
+    Object.keys(parameters || {}).forEach(function(name) {
+        result[name] = redactor(name, parameters[name]);
+    });
+
+    return result;
+}
+
+// Report the request described by `event`, as emitted by `Neo4j`, if it took
+// longer than the threshold.
+
+function report(options, event) {
+    options = settings(options);
+
+    if (!options || event.duration <= options.threshold) {
+        return;
+    }
+
+    var entry = {
+        'duration': event.duration,
+        'threshold': options.threshold,
+        'endpoint': event.endpoint,
+        'transactionID': event.transactionID,
+        'statements': (event.statements || []).map(function(statement) {
+            return {
+                'statement': statement.statement,
+                'parameters': redact(statement.parameters, options.redact)
+            };
+        })
+    };
+
+    if (event.error) {
+        entry.error = event.error;
+    }
+
+    options.log(entry);
+}
+
+module.exports.settings = settings;
+module.exports.report = report;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
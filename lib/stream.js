@@ -0,0 +1,107 @@
+var util = require('util');
+var Readable = require('stream').Readable;
+var Parser = require('jsonparse');
+
+// A `RowStream` is a readable object stream of the rows returned by the
+// transactional endpoint. Rather than waiting for the whole response the body
+// is parsed as it arrives and each row is pushed as soon as it is complete,
+// then discarded. Each row is pushed as an object of the form:
+//
+// ```javascript
+// { index: 0, row: { 'n': { 'name': 'Alice' } } }
+// ```
+//
+// where `index` is the index of the statement that returned the row and `row`
+// is the row as mapped by `mapRow`.
+//
+// Everything else in the response, such as the errors and the transaction
+// details, is kept so that once the response has ended it can be handled in the
+// same way as any other response.
+
+function RowStream(mapRow) {
+    Readable.call(this, { 'objectMode': true });
+
+    this.mapRow = mapRow;
+    this.source = undefined;
+}
+
+util.inherits(RowStream, Readable);
+
+// Resume the response if it was paused because the stream was full.
+
+RowStream.prototype._read = function() {
+    if (this.source) {
+        this.source.resume();
+    }
+};
+
+// Read the response to `request`, pushing rows as they arrive. Once the
+// response ends the callback is passed an object in the same form as the
+// response passed to the `request` callback, with the rows removed from the
+// body. If the body isn't valid JSON then the body will be `undefined`.
+
+RowStream.prototype.consume = function(request, callback) {
+    var self = this;
+    var parser = new Parser();
+    var response = {};
+    var failed = false;
+
+    this.source = request;
+
+    parser.onValue = function(value) {
+        if (this.stack.length === 0) {
+            response.body = value;
+        } else if (this.stack.length === 4 && this.stack[1].key === 'results' &&
+            this.stack[3].key === 'data') {
+            var row = self.mapRow(this.stack[3].value.columns, value);
+            delete this.value[this.key];
+
+            if (!self.push({ 'index': this.stack[2].key, 'row': row })) {
+                request.pause();
+            }
+        }
+    };
+
+    parser.onError = function() {
+        failed = true;
+        response.body = undefined;
+    };
+
+    request.on('response', function(res) {
+        response.statusCode = res.statusCode;
+    });
+
+    request.on('data', function(chunk) {
+        if (!failed) {
+            parser.write(chunk);
+        }
+    });
+
+    request.on('error', function(err) {
+        self.source = undefined;
+        callback(err);
+    });
+
+    request.on('end', function() {
+        self.source = undefined;
+        callback(null, response);
+    });
+};
+
+module.exports = RowStream;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
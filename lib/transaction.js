@@ -0,0 +1,249 @@
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+var promisify = require('./promisify.js');
+
+// A `Transaction` wraps a transaction opened by `begin` so that the
+// transaction ID doesn't need to be threaded through every call. Transactions
+// are created by `beginTransaction` and expose `query`, `commit`, `rollback`
+// and `resetTimeout`, which take the same arguments as their `Neo4j`
+// counterparts minus the transaction ID.
+//
+// Each transaction has the following properties:
+//
+// * `id` - the transaction ID
+// * `expires` - a `Date` for when the transaction will time out
+// * `state` - one of `open`, `committed` or `rolled back`
+// * `errors` - any errors returned by Neo4j that closed the transaction
+//
+// Once a transaction has been committed or rolled back any further calls will
+// fail without contacting Neo4j. Neo4j rolls back a transaction whenever a
+// statement in it fails, so an error returned by Neo4j also closes the
+// transaction.
+//
+// Transactions can optionally keep themselves alive by passing an `options`
+// object with `keepAlive` set. The transaction will then send a `resetTimeout`
+// shortly before it expires, until it is committed or rolled back. By default
+// the keep-alive is sent 10 seconds before the transaction expires. This can be
+// changed by setting `keepAlive` to an object with a `margin` in milliseconds.
+// Neo4j refuses concurrent requests on a transaction, so no keep-alive is sent
+// while a call is running; the timer is restarted once the call finishes.
+// Calls made while a keep-alive is running wait for it to finish. Failed
+// keep-alives are reported through the `keepAliveError` event, which is
+// passed the error and `info` object. They don't change the `state` of the
+// transaction.
+
+var OPEN = 'open';
+var COMMITTED = 'committed';
+var ROLLED_BACK = 'rolled back';
+
+var MARGIN = 10000;
+
+var CONCURRENT = 'Neo.ClientError.Transaction.ConcurrentRequest';
+
+function Transaction(db, id, expires, options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.db = db;
+    this.id = id;
+    this.state = OPEN;
+    this.errors = [];
+    this.pending = 0;
+    this.expires = expires ? new Date(expires) : undefined;
+
+    if (options.keepAlive) {
+        this.margin = options.keepAlive.margin === undefined ?
+            MARGIN : options.keepAlive.margin;
+        schedule(this);
+    }
+}
+
+util.inherits(Transaction, EventEmitter);
+
+Transaction.OPEN = OPEN;
+Transaction.COMMITTED = COMMITTED;
+Transaction.ROLLED_BACK = ROLLED_BACK;
+
+Transaction.prototype.isOpen = function() {
+    return this.state === OPEN;
+};
+
+// Schedule the next keep-alive. It is sent `margin` milliseconds before the
+// transaction expires. If there is less time than that remaining, for example
+// after a failed keep-alive, it is sent halfway to the expiry instead. Nothing
+// is scheduled while a call is running, or once the transaction has closed or
+// expired. The timer doesn't hold the process open.
+
+function schedule(transaction) {
+    clearTimeout(transaction.timer);
+    transaction.timer = undefined;
+
+    if (transaction.margin === undefined || !transaction.isOpen() ||
+        !transaction.expires || transaction.pending > 0) {
+        return;
+    }
+
+    var remaining = transaction.expires.getTime() - Date.now();
+
+    if (isNaN(remaining) || remaining <= 0) {
+        return;
+    }
+
+    var wait = remaining - transaction.margin;
+
+    if (wait <= 0) {
+        wait = remaining / 2;
+    }
+
+    transaction.timer = setTimeout(function() {
+        transaction.timer = undefined;
+        keepAlive(transaction);
+    }, wait);
+
+    transaction.timer.unref();
+}
+
+// Send a keep-alive. Calls made while it is running are held in `waiting`
+// and run once it has finished. Unlike `resetTimeout` a failure only emits
+// `keepAliveError`, as the request may have been refused because another
+// client is using the transaction.
+
+function keepAlive(transaction) {
+    if (!transaction.isOpen() || transaction.pending > 0) {
+        return;
+    }
+
+    transaction.pending++;
+    transaction.waiting = [];
+
+    transaction.db.resetTimeout(transaction.id, function(err, results, info) {
+        var waiting = transaction.waiting;
+
+        transaction.pending--;
+        transaction.waiting = undefined;
+
+        if (err) {
+            transaction.emit('keepAliveError', err, info);
+        } else if (info && info.timeout) {
+            transaction.expires = new Date(info.timeout);
+        }
+
+        waiting.forEach(function(call) {
+            call();
+        });
+
+        schedule(transaction);
+    });
+}
+
+// Whether Neo4j closed the transaction on returning `errors`. A request refused
+// because another is running on the transaction leaves it open.
+
+function closes(errors) {
+    return errors.some(function(error) {
+        return error.code !== CONCURRENT;
+    });
+}
+
+// Update the state of the transaction from the response to a call. `state` is
+// the state the transaction moves to if the call succeeded.
+
+function update(transaction, err, info, state) {
+    if (info && info.timeout) {
+        transaction.expires = new Date(info.timeout);
+    }
+
+    if (!err) {
+        transaction.state = state;
+    } else if (info && info.errors && closes(info.errors)) {
+        transaction.state = ROLLED_BACK;
+        transaction.errors = info.errors;
+    } else if (err.rolledBack) {
+        transaction.state = ROLLED_BACK;
+    }
+
+    schedule(transaction);
+}
+
+// Run `method` on the underlying `Neo4j` object with the transaction ID
+// prepended to `args`. The last element of `args` is always the callback.
+
+function run(transaction, method, args, state) {
+    if (transaction.waiting) {
+        return transaction.waiting.push(function() {
+            run(transaction, method, args, state);
+        });
+    }
+
+    args = Array.prototype.slice.call(args);
+    var callback = args.pop();
+
+    if (!transaction.isOpen()) {
+        var message = 'Transaction ' + transaction.id + ' has been ' +
+            transaction.state;
+        var info = {
+            'statements': [],
+            'errors': [],
+            'transactionID': transaction.id
+        };
+        return callback(new Error(message), [], info);
+    }
+
+    transaction.pending++;
+    clearTimeout(transaction.timer);
+    transaction.timer = undefined;
+
+    args.unshift(transaction.id);
+    args.push(function(err, results, info) {
+        transaction.pending--;
+        update(transaction, err, info, state);
+        callback(err, results, info);
+    });
+
+    transaction.db[method].apply(transaction.db, args);
+}
+
+// Run a query within the transaction. See `Neo4j.query` for details.
+
+Transaction.prototype.query = promisify(function() {
+    run(this, 'query', arguments, OPEN);
+});
+
+// Commit the transaction, optionally running a query before the commit. See
+// `Neo4j.commit` for details.
+
+Transaction.prototype.commit = promisify(function() {
+    run(this, 'commit', arguments, COMMITTED);
+});
+
+// Rollback the transaction.
+
+Transaction.prototype.rollback = promisify(function(callback) {
+    run(this, 'rollback', [callback], ROLLED_BACK);
+});
+
+// Reset the timeout on the transaction.
+
+Transaction.prototype.resetTimeout = promisify(function(callback) {
+    run(this, 'resetTimeout', [callback], OPEN);
+});
+
+module.exports = Transaction;
+
+// ## License
+//
+// Copyright (c) 2014, RainBird Technologies <follow@rainbird.ai>
+//
+// Permission to use, copy, modify, and/or distribute this software for any
+// purpose with or without fee is hereby granted, provided that the above
+// copyright notice and this permission notice appear in all copies.
+//
+// THE SOFTWARE IS PROVIDED 'AS IS' AND THE AUTHOR DISCLAIMS ALL WARRANTIES
+// WITH REGARD TO THIS SOFTWARE INCLUDING ALL IMPLIED WARRANTIES OF
+// MERCHANTABILITY AND FITNESS. IN NO EVENT SHALL THE AUTHOR BE LIABLE FOR
+// ANY SPECIAL, DIRECT, INDIRECT, OR CONSEQUENTIAL DAMAGES OR ANY DAMAGES
+// WHATSOEVER RESULTING FROM LOSS OF USE, DATA OR PROFITS, WHETHER IN AN
+// ACTION OF CONTRACT, NEGLIGENCE OR OTHER TORTIOUS ACTION, ARISING OUT OF
+// OR IN CONNECTION WITH THE USE OR PERFORMANCE OF THIS SOFTWARE.
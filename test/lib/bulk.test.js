@@ -0,0 +1,217 @@
+var expect = require('chai').expect;
+
+var bulk = require('../../lib/bulk.js');
+
+describe('Bulk writes', function() {
+    var db;
+    var queries;
+    var rows;
+
+    // A database that fails batches whose first row has `fail` set, and keeps
+    // track of how many queries are in flight.
+
+    beforeEach(function(done) {
+        queries = [];
+        rows = [];
+
+        for (var i = 0; i < 10; i++) {
+            rows.push({ 'id': i });
+        }
+
+        db = {
+            'running': 0,
+            'maximum': 0,
+            'query': function(statement, parameters, callback) {
+                var self = this;
+
+                queries.push({
+                    'statement': statement,
+                    'parameters': parameters
+                });
+
+                this.running++;
+                this.maximum = Math.max(this.maximum, this.running);
+
+                setImmediate(function() {
+                    self.running--;
+                    callback(parameters.rows[0].fail ?
+                        new Error('Failed') : null, [[]], {});
+                });
+            }
+        };
+
+        done();
+    });
+
+    it('should send rows in batches with UNWIND', function(done) {
+        var options = { 'batchSize': 4, 'parameters': { 'label': 'Person' } };
+
+        bulk.run(db, 'CREATE (n) SET n = row', rows, options,
+            function(err, summary) {
+                expect(err).to.not.be.ok();
+                expect(queries).to.have.length(3);
+                expect(queries[0].statement).to.equal(
+                    'UNWIND {rows} AS row\nCREATE (n) SET n = row');
+                expect(queries[0].parameters).to.deep.equal({
+                    'label': 'Person',
+                    'rows': rows.slice(0, 4)
+                });
+                expect(queries[2].parameters.rows).to.deep.equal(
+                    rows.slice(8));
+                expect(options.parameters).to.not.have.property('rows');
+                expect(summary).to.deep.equal({
+                    'batches': 3,
+                    'rows': 10,
+                    'completed': 10,
+                    'failures': []
+                });
+
+                done();
+            }
+        );
+    });
+
+    it('should send batches one at a time by default', function(done) {
+        bulk.run(db, 'CREATE (n)', rows, { 'batchSize': 1 }, function(err) {
+            expect(err).to.not.be.ok();
+            expect(queries).to.have.length(10);
+            expect(db.maximum).to.equal(1);
+
+            done();
+        });
+    });
+
+    it('should limit the number of batches sent at once', function(done) {
+        var options = { 'batchSize': 1, 'concurrency': 3 };
+
+        bulk.run(db, 'CREATE (n)', rows, options, function(err) {
+            expect(err).to.not.be.ok();
+            expect(queries).to.have.length(10);
+            expect(db.maximum).to.equal(3);
+
+            done();
+        });
+    });
+
+    it('should report progress after each batch', function(done) {
+        var reports = [];
+        var options = {
+            'batchSize': 6,
+            'progress': function(progress) {
+                reports.push(progress);
+            }
+        };
+
+        bulk.run(db, 'CREATE (n)', rows, options, function(err) {
+            expect(err).to.not.be.ok();
+            expect(reports).to.deep.equal([{
+                'batch': 0,
+                'batches': 2,
+                'start': 0,
+                'rows': 6,
+                'completed': 6,
+                'total': 10
+            }, {
+                'batch': 1,
+                'batches': 2,
+                'start': 6,
+                'rows': 4,
+                'completed': 10,
+                'total': 10
+            }]);
+
+            done();
+        });
+    });
+
+    it('should stop at the first failure', function(done) {
+        var reports = [];
+        var options = {
+            'batchSize': 3,
+            'progress': function(progress) {
+                reports.push(progress);
+            }
+        };
+
+        rows[3].fail = true;
+
+        bulk.run(db, 'CREATE (n)', rows, options, function(err, summary) {
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.summary).to.equal(summary);
+            expect(queries).to.have.length(2);
+            expect(reports[1].error).to.equal(err);
+            expect(summary.completed).to.equal(3);
+            expect(summary.failures).to.deep.equal([{
+                'batch': 1,
+                'start': 3,
+                'rows': 3,
+                'error': err
+            }]);
+
+            done();
+        });
+    });
+
+    it('should carry on after failures if asked to', function(done) {
+        var options = { 'batchSize': 3, 'continueOnError': true };
+
+        rows[3].fail = true;
+        rows[9].fail = true;
+
+        bulk.run(db, 'CREATE (n)', rows, options, function(err, summary) {
+            expect(err).to.not.be.ok();
+            expect(queries).to.have.length(4);
+            expect(summary.completed).to.equal(6);
+            expect(summary.failures.map(function(failure) {
+                return failure.batch;
+            })).to.deep.equal([1, 3]);
+
+            done();
+        });
+    });
+
+    it('should do nothing with no rows', function(done) {
+        bulk.run(db, 'CREATE (n)', [], {}, function(err, summary) {
+            expect(err).to.not.be.ok();
+            expect(queries).to.be.empty();
+            expect(summary).to.deep.equal({
+                'batches': 0,
+                'rows': 0,
+                'completed': 0,
+                'failures': []
+            });
+
+            done();
+        });
+    });
+
+    it('should run every batch in one transaction if asked to', function(done) {
+        var transaction = {
+            'query': function() {
+                db.query.apply(db, arguments);
+            }
+        };
+        var options = {
+            'batchSize': 4,
+            'concurrency': 3,
+            'transaction': 'single',
+            'continueOnError': true
+        };
+
+        db.runInTransaction = function(work, settings, callback) {
+            expect(settings).to.deep.equal({ 'retries': undefined });
+            work(transaction, callback);
+        };
+
+        rows[4].fail = true;
+
+        bulk.run(db, 'CREATE (n)', rows, options, function(err, summary) {
+            expect(err).to.be.an.instanceof(Error);
+            expect(queries).to.have.length(2);
+            expect(db.maximum).to.equal(1);
+            expect(summary.failures).to.have.length(1);
+
+            done();
+        });
+    });
+});
@@ -0,0 +1,123 @@
+var expect = require('chai').expect;
+
+var errors = require('../../lib/errors.js');
+var cancel = require('../../lib/cancel.js');
+
+describe('Cancellation', function() {
+    describe('with a cancel token', function() {
+        it('should start off not aborted', function(done) {
+            var token = new cancel.CancelToken();
+
+            expect(token).to.have.property('aborted', false);
+            expect(token.reason).to.be.undefined();
+
+            done();
+        });
+
+        it('should emit abort once when cancelled', function(done) {
+            var token = new cancel.CancelToken();
+            var aborts = 0;
+
+            token.addEventListener('abort', function() {
+                aborts++;
+            });
+
+            token.cancel('first');
+            token.cancel('second');
+
+            expect(token).to.have.property('aborted', true);
+            expect(token).to.have.property('reason', 'first');
+            expect(aborts).to.equal(1);
+
+            done();
+        });
+
+        it('should remove listeners', function(done) {
+            var token = new cancel.CancelToken();
+            var listener = function() {
+                throw new Error('Should not be called');
+            };
+
+            token.addEventListener('abort', listener);
+            token.removeEventListener('abort', listener);
+            token.cancel();
+
+            done();
+        });
+    });
+
+    describe('when watching a call', function() {
+        it('should fail once cancelled', function(done) {
+            var token = new cancel.CancelToken();
+
+            cancel.watch({ 'signal': token }, function(err) {
+                expect(err).to.be.an.instanceof(errors.CancelledError);
+                expect(err).to.have.property('message', 'Request cancelled');
+                expect(err).to.have.property('reason', 'shutdown');
+
+                done();
+            });
+
+            token.cancel('shutdown');
+        });
+
+        it('should fail straight away if already cancelled', function(done) {
+            var token = new cancel.CancelToken();
+            var failed = false;
+
+            token.cancel();
+
+            cancel.watch({ 'signal': token }, function(err) {
+                expect(err).to.be.an.instanceof(errors.CancelledError);
+                failed = true;
+            });
+
+            expect(failed).to.equal(true);
+
+            done();
+        });
+
+        it('should fail once the timeout has passed', function(done) {
+            cancel.watch({ 'timeout': 5 }, function(err) {
+                expect(err).to.be.an.instanceof(errors.TimeoutError);
+                expect(err).to.have.property('message',
+                    'Request timed out after 5ms');
+                expect(err).to.have.property('timeout', 5);
+
+                done();
+            });
+        });
+
+        it('should only fail once', function(done) {
+            var token = new cancel.CancelToken();
+            var failures = 0;
+
+            cancel.watch({ 'signal': token, 'timeout': 5 }, function() {
+                failures++;
+            });
+
+            token.cancel();
+
+            setTimeout(function() {
+                expect(failures).to.equal(1);
+                expect(token.listeners('abort')).to.be.empty();
+
+                done();
+            }, 10);
+        });
+
+        it('should do nothing once stopped', function(done) {
+            var token = new cancel.CancelToken();
+            var stop = cancel.watch({ 'signal': token, 'timeout': 5 },
+                function() {
+                    throw new Error('Should not be called');
+                }
+            );
+
+            stop();
+            token.cancel();
+
+            setTimeout(done, 10);
+        });
+    });
+});
@@ -0,0 +1,213 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var PassThrough = require('stream').PassThrough;
+
+var FakeServer = require('../../lib/fake.js');
+var cli = require('../../lib/cli.js');
+
+describe('The command line', function() {
+    var server;
+    var io;
+    var output;
+    var file = path.join(os.tmpdir(), 'rainbird-neo4j-cli-' + process.pid +
+        '.cypher');
+
+    before(function(done) {
+        fs.writeFileSync(file, 'MATCH (n:${label}) RETURN n.name AS name;\n' +
+            'RETURN {limit} AS limit');
+
+        server = new FakeServer();
+        server.listen(done);
+    });
+
+    after(function(done) {
+        fs.unlinkSync(file);
+        server.close(done);
+    });
+
+    beforeEach(function(done) {
+        output = { 'stdout': '', 'stderr': '' };
+        io = {
+            'stdin': new PassThrough(),
+            'stdout': {
+                'write': function(text) { output.stdout += text; }
+            },
+            'stderr': {
+                'write': function(text) { output.stderr += text; }
+            },
+            'env': { 'NEO4J_URL': server.uri }
+        };
+
+        server.reset();
+        server.respond(/^MATCH \(n/, {
+            'columns': ['name'],
+            'rows': [['Alice'], ['Bob, "Jr"']]
+        });
+        server.respond(/^RETURN \{limit\}/, function(statement, parameters) {
+            return { 'columns': ['limit'], 'rows': [[parameters.limit]] };
+        });
+
+        done();
+    });
+
+    it('should parse options and arguments', function(done) {
+        var options = cli.parse(['-u', 'http://db:7474', 'run', '--format=json',
+            '-p', 'age=42', '--param', 'name=Alice', '--params', '{"x":[1]}',
+            '-s', 'label=Person', 'query.cypher']);
+
+        expect(options).to.deep.equal({
+            'args': ['query.cypher'],
+            'command': 'run',
+            'uri': 'http://db:7474',
+            'format': 'json',
+            'parameters': { 'age': 42, 'name': 'Alice', 'x': [1] },
+            'substitutions': { 'label': 'Person' }
+        });
+
+        done();
+    });
+
+    it('should run a file and print a table', function(done) {
+        var argv = ['run', file, '-s', 'label=Person', '-p', 'limit=10'];
+
+        cli.main(argv, io, function(code) {
+            expect(output.stderr).to.equal('');
+            expect(code).to.equal(0);
+            expect(output.stdout).to.equal(
+                '| name      |\n' +
+                '|-----------|\n' +
+                '| Alice     |\n' +
+                '| Bob, "Jr" |\n' +
+                '2 rows\n' +
+                '\n' +
+                '| limit |\n' +
+                '|-------|\n' +
+                '| 10    |\n' +
+                '1 row\n');
+            expect(server.requests[0].body.statements[0]).to.deep.equal({
+                'statement': 'MATCH (n:Person) RETURN n.name AS name',
+                'parameters': { 'limit': 10 }
+            });
+
+            done();
+        });
+    });
+
+    it('should read stdin and print CSV', function(done) {
+        cli.main(['run', '-f', 'csv'], io, function(code) {
+            expect(code).to.equal(0);
+            expect(output.stdout).to.equal('name\nAlice\n"Bob, ""Jr"""\n');
+
+            done();
+        });
+
+        io.stdin.end('MATCH (n) RETURN n.name AS name');
+    });
+
+    it('should print JSON', function(done) {
+        cli.main(['run', '-f', 'json', '-'], io, function(code) {
+            expect(code).to.equal(0);
+            expect(JSON.parse(output.stdout)).to.deep.equal(
+                [[{ 'name': 'Alice' }, { 'name': 'Bob, "Jr"' }]]);
+
+            done();
+        });
+
+        io.stdin.end('MATCH (n) RETURN n.name AS name;');
+    });
+
+    it('should report missing substitutions', function(done) {
+        cli.main(['run', file], io, function(code) {
+            expect(code).to.equal(1);
+            expect(output.stderr).to.equal(
+                'Error: Error, unmatched parameter: ${label}\n');
+            expect(server.requests).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should show usage for bad arguments', function(done) {
+        cli.main(['run', '--colour', 'red'], io, function(code) {
+            expect(code).to.equal(2);
+            expect(output.stderr).to.match(/^Error: Unknown option --colour\n/);
+            expect(output.stderr).to.match(/Usage: rainbird-neo4j/);
+
+            done();
+        });
+    });
+
+    it('should start a REPL', function(done) {
+        cli.main(['repl', '-p', 'limit=3'], io, function(code) {
+            expect(code).to.equal(0);
+            expect(output.stdout).to.match(/^\| limit \|\n/);
+            expect(output.stdout).to.match(/\| 3     \|/);
+
+            done();
+        });
+
+        io.stdin.end('RETURN {limit} AS limit;\n');
+    });
+
+    it('should show help', function(done) {
+        cli.main(['--help'], io, function(code) {
+            expect(code).to.equal(0);
+            expect(output.stdout).to.match(/^Usage: rainbird-neo4j/);
+
+            done();
+        });
+    });
+
+    describe('migrations', function() {
+        var directory = path.join(os.tmpdir(), 'rainbird-neo4j-cli-migrations-' +
+            process.pid);
+
+        before(function(done) {
+            fs.mkdirSync(directory);
+            fs.writeFileSync(path.join(directory, '1_people.cypher'),
+                'CREATE (:Person)');
+            done();
+        });
+
+        after(function(done) {
+            fs.unlinkSync(path.join(directory, '1_people.cypher'));
+            fs.rmdirSync(directory);
+            done();
+        });
+
+        it('should show the status', function(done) {
+            cli.main(['migrate', 'status', directory, '-f', 'json'], io,
+                function(code) {
+                    expect(code).to.equal(0);
+                    expect(JSON.parse(output.stdout)).to.deep.equal([[{
+                        'version': '1',
+                        'name': 'people',
+                        'state': 'pending'
+                    }]]);
+
+                    done();
+                }
+            );
+        });
+
+        it('should apply migrations', function(done) {
+            cli.main(['migrate', 'up', directory], io, function(code) {
+                expect(code).to.equal(0);
+                expect(output.stdout).to.equal('Applied 1_people\n');
+
+                done();
+            });
+        });
+
+        it('should need an action and a directory', function(done) {
+            cli.main(['migrate', 'sideways'], io, function(code) {
+                expect(code).to.equal(2);
+                expect(output.stderr).to.match(/status, up or down/);
+
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,168 @@
+var expect = require('chai').expect;
+
+var errors = require('../../lib/errors.js');
+var Cluster = require('../../lib/cluster.js');
+
+describe('Clusters', function() {
+    var roles;
+    var requests;
+    var cluster;
+
+    var get = function(uri, callback) {
+        var server = uri.replace('db/manage/server/ha/available', '');
+        var role = roles[server];
+
+        requests.push(uri);
+
+        if (role === undefined) {
+            var err = new Error('connect ECONNREFUSED');
+            err.code = 'ECONNREFUSED';
+            return callback(err);
+        }
+
+        callback(null, {
+            'statusCode': role === 'unknown' ? 404 : 200,
+            'body': role
+        });
+    };
+
+    beforeEach(function(done) {
+        roles = {
+            'http://a/': 'master',
+            'http://b/': 'slave',
+            'http://c/': 'slave'
+        };
+        requests = [];
+        cluster = new Cluster(['http://a/', 'http://b/', 'http://c/'], get);
+
+        done();
+    });
+
+    it('should discover roles before the first request', function(done) {
+        cluster.select('write', function(err, uri) {
+            expect(err).to.not.be.ok();
+            expect(uri).to.equal('http://a/');
+            expect(requests).to.deep.equal([
+                'http://a/db/manage/server/ha/available',
+                'http://b/db/manage/server/ha/available',
+                'http://c/db/manage/server/ha/available'
+            ]);
+
+            done();
+        });
+    });
+
+    it('should only discover roles once', function(done) {
+        cluster.select('write', function() {
+            cluster.select('write', function(err, uri) {
+                expect(uri).to.equal('http://a/');
+                expect(requests).to.have.length(3);
+
+                done();
+            });
+        });
+    });
+
+    it('should share a discovery that is already running', function(done) {
+        var queued = [];
+
+        cluster.get = function(uri, callback) {
+            queued.push(function() {
+                get(uri, callback);
+            });
+        };
+
+        cluster.select('write', function() {});
+        cluster.select('read', function(err, uri) {
+            expect(uri).to.match(/^http:\/\/[bc]\/$/);
+            expect(requests).to.have.length(3);
+
+            done();
+        });
+
+        expect(queued).to.have.length(3);
+        queued.forEach(function(next) {
+            next();
+        });
+    });
+
+    it('should spread reads across the slaves', function(done) {
+        cluster.select('read', function(err, first) {
+            cluster.select('read', function(err, second) {
+                cluster.select('read', function(err, third) {
+                    expect([first, second].sort()).to.deep.equal(
+                        ['http://b/', 'http://c/']);
+                    expect(third).to.equal(first);
+
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should read from the master without slaves', function(done) {
+        roles = { 'http://a/': 'master', 'http://b/': 'unknown' };
+
+        cluster.select('read', function(err, uri) {
+            expect(err).to.not.be.ok();
+            expect(uri).to.equal('http://a/');
+
+            done();
+        });
+    });
+
+    it('should find a new master after a failure', function(done) {
+        cluster.select('write', function() {
+            roles = { 'http://b/': 'master', 'http://c/': 'slave' };
+            cluster.fail('http://a/');
+
+            expect(cluster.servers[0]).to.have.property('down', true);
+
+            cluster.select('write', function(err, uri) {
+                expect(err).to.not.be.ok();
+                expect(uri).to.equal('http://b/');
+                expect(requests).to.have.length(6);
+
+                done();
+            });
+        });
+    });
+
+    it('should discover roles again once invalidated', function(done) {
+        cluster.select('write', function() {
+            cluster.invalidate();
+
+            cluster.select('write', function() {
+                expect(requests).to.have.length(6);
+
+                done();
+            });
+        });
+    });
+
+    it('should fail if no server is available', function(done) {
+        roles = { 'http://b/': 'slave' };
+
+        cluster.select('write', function(err, uri) {
+            expect(err).to.be.an.instanceof(errors.UnavailableError);
+            expect(err.message).to.equal(
+                'No Neo4j server is available for write');
+            expect(uri).to.be.undefined();
+
+            done();
+        });
+    });
+
+    it('should pin transactions to a server', function(done) {
+        cluster.pin(1, 'http://b/');
+
+        expect(cluster.pinned(1)).to.equal('http://b/');
+        expect(cluster.pinned(2)).to.be.undefined();
+
+        cluster.unpin(1);
+
+        expect(cluster.pinned(1)).to.be.undefined();
+
+        done();
+    });
+});
@@ -0,0 +1,137 @@
+var expect = require('chai').expect;
+
+var errors = require('../../lib/errors.js');
+
+describe('Errors', function() {
+    describe('when mapping errors from Neo4j', function() {
+        it('should map client errors', function(done) {
+            var neo4jErrors = [
+                {
+                    'code': 'Neo.ClientError.Statement.InvalidSyntax',
+                    'message': 'Invalid syntax'
+                }
+            ];
+
+            var error = errors.fromNeo4j('message', neo4jErrors,
+                { 'statementIndex': 1, 'transactionID': 2 });
+
+            expect(error).to.be.an.instanceof(Error);
+            expect(error).to.be.an.instanceof(errors.Neo4jError);
+            expect(error).to.be.an.instanceof(errors.ClientError);
+            expect(error).to.have.property('name', 'ClientError');
+            expect(error).to.have.property('message', 'message');
+            expect(error).to.have.property('code',
+                'Neo.ClientError.Statement.InvalidSyntax');
+            expect(error).to.have.property('classification', 'ClientError');
+            expect(error).to.have.property('category', 'Statement');
+            expect(error).to.have.property('title', 'InvalidSyntax');
+            expect(error).to.have.property('statementIndex', 1);
+            expect(error).to.have.property('transactionID', 2);
+            expect(error).to.have.property('errors', neo4jErrors);
+            expect(error.stack).to.be.ok();
+
+            done();
+        });
+
+        it('should map transient errors', function(done) {
+            var error = errors.fromNeo4j('message', [
+                { 'code': 'Neo.TransientError.Transaction.DeadlockDetected' }
+            ]);
+
+            expect(error).to.be.an.instanceof(errors.TransientError);
+            expect(error).to.not.be.an.instanceof(errors.ClientError);
+            expect(error).to.have.property('category', 'Transaction');
+            expect(error.statementIndex).to.be.undefined();
+
+            done();
+        });
+
+        it('should map database errors', function(done) {
+            var error = errors.fromNeo4j('message', [
+                { 'code': 'Neo.DatabaseError.General.UnknownFailure' }
+            ]);
+
+            expect(error).to.be.an.instanceof(errors.DatabaseError);
+
+            done();
+        });
+
+        it('should fall back to Neo4jError', function(done) {
+            var error = errors.fromNeo4j('message', [{ 'code': 'Unknown' }]);
+
+            expect(error).to.be.an.instanceof(errors.Neo4jError);
+            expect(error).to.not.be.an.instanceof(errors.ClientError);
+            expect(error).to.not.be.an.instanceof(errors.TransientError);
+            expect(error).to.not.be.an.instanceof(errors.DatabaseError);
+            expect(error).to.have.property('code', 'Unknown');
+
+            done();
+        });
+    });
+
+    describe('when wrapping request errors', function() {
+        it('should keep the original error', function(done) {
+            var cause = new Error('socket hang up');
+            cause.code = 'ECONNRESET';
+
+            var error = new errors.NetworkError(cause);
+
+            expect(error).to.be.an.instanceof(Error);
+            expect(error).to.have.property('name', 'NetworkError');
+            expect(error).to.have.property('message', 'socket hang up');
+            expect(error).to.have.property('code', 'ECONNRESET');
+            expect(error).to.have.property('cause', cause);
+
+            done();
+        });
+    });
+
+    describe('when creating protocol errors', function() {
+        it('should keep the status code', function(done) {
+            var error = new errors.ProtocolError('message', 503);
+
+            expect(error).to.be.an.instanceof(Error);
+            expect(error).to.have.property('name', 'ProtocolError');
+            expect(error).to.have.property('message', 'message');
+            expect(error).to.have.property('statusCode', 503);
+
+            done();
+        });
+    });
+
+    describe('when creating cancelled errors', function() {
+        it('should not be rolled back by default', function(done) {
+            var error = new errors.CancelledError('message');
+
+            expect(error).to.be.an.instanceof(Error);
+            expect(error).to.have.property('name', 'CancelledError');
+            expect(error).to.have.property('message', 'message');
+            expect(error).to.have.property('rolledBack', false);
+
+            done();
+        });
+
+        it('should keep the timeout of timeout errors', function(done) {
+            var error = new errors.TimeoutError('message', 100);
+
+            expect(error).to.be.an.instanceof(errors.CancelledError);
+            expect(error).to.have.property('name', 'TimeoutError');
+            expect(error).to.have.property('timeout', 100);
+            expect(error).to.have.property('rolledBack', false);
+
+            done();
+        });
+    });
+
+    describe('when creating unavailable errors', function() {
+        it('should keep the message', function(done) {
+            var error = new errors.UnavailableError('message');
+
+            expect(error).to.be.an.instanceof(Error);
+            expect(error).to.have.property('name', 'UnavailableError');
+            expect(error).to.have.property('message', 'message');
+
+            done();
+        });
+    });
+});
@@ -0,0 +1,258 @@
+var expect = require('chai').expect;
+
+var Neo4j = require('../../neo4j.js');
+var FakeServer = require('../../lib/fake.js');
+
+describe('The fake server', function() {
+    var server;
+    var db;
+
+    before(function(done) {
+        server = new FakeServer({ 'timeout': 50 });
+        server.listen(function(err, uri) {
+            db = new Neo4j(uri);
+            done(err);
+        });
+    });
+
+    after(function(done) {
+        server.close(done);
+    });
+
+    beforeEach(function(done) {
+        server.reset();
+        server.respond('MATCH (n:Person) RETURN n.name AS name', {
+            'columns': ['name'],
+            'rows': [['Alice'], ['Bob']]
+        });
+        server.respond(/^CREATE/, function(statement, parameters) {
+            return {
+                'columns': ['name'],
+                'rows': [[parameters.name]],
+                'stats': { 'nodes_created': 1 }
+            };
+        });
+        server.respond('FAIL', {
+            'error': {
+                'code': 'Neo.ClientError.Statement.InvalidSyntax',
+                'message': 'Invalid input'
+            }
+        });
+
+        done();
+    });
+
+    it('should run scripted autocommit queries', function(done) {
+        db.query('MATCH (n:Person)\n  RETURN n.name AS name',
+            function(err, results) {
+                expect(err).to.not.be.ok();
+                expect(results).to.deep.equal(
+                    [[{ 'name': 'Alice' }, { 'name': 'Bob' }]]);
+                expect(server.requests).to.have.length(1);
+                expect(server.requests[0]).to.have.property('url',
+                    '/db/data/transaction/commit');
+
+                done();
+            }
+        );
+    });
+
+    it('should pass parameters to scripts', function(done) {
+        var options = { 'includeStats': true };
+
+        db.withOptions(options).query('CREATE (n { name: {name} })',
+            { 'name': 'Carol' }, function(err, results, info) {
+                expect(err).to.not.be.ok();
+                expect(results).to.deep.equal([[{ 'name': 'Carol' }]]);
+                expect(info.stats[0]).to.have.property('nodes_created', 1);
+
+                done();
+            }
+        );
+    });
+
+    it('should return nothing for unscripted statements', function(done) {
+        db.query('MATCH (n) RETURN n', function(err, results) {
+            expect(err).to.not.be.ok();
+            expect(results).to.deep.equal([[]]);
+
+            done();
+        });
+    });
+
+    it('should begin, use and commit transactions', function(done) {
+        db.begin('MATCH (n:Person) RETURN n.name AS name',
+            function(err, results, info) {
+                expect(err).to.not.be.ok();
+                expect(info.transactionID).to.be.a('number');
+                expect(info.timeout).to.be.a('string');
+                expect(results[0]).to.have.length(2);
+
+                var id = info.transactionID;
+
+                db.query(id, 'CREATE (n)', { 'name': 'Dave' }, function(err) {
+                    expect(err).to.not.be.ok();
+                    expect(server.transactions).to.have.property(String(id));
+
+                    db.commit(id, function(err) {
+                        expect(err).to.not.be.ok();
+                        expect(server.transactions).to.be.empty();
+
+                        done();
+                    });
+                });
+            }
+        );
+    });
+
+    it('should roll back transactions', function(done) {
+        db.beginTransaction(function(err, transaction) {
+            expect(err).to.not.be.ok();
+
+            transaction.rollback(function(err) {
+                expect(err).to.not.be.ok();
+                expect(server.transactions).to.be.empty();
+
+                transaction.db.query(transaction.id, 'RETURN 1',
+                    function(err) {
+                        expect(err).to.be.an.instanceof(Neo4j.ClientError);
+                        expect(err.code).to.equal(
+                            'Neo.ClientError.Transaction.UnknownId');
+
+                        done();
+                    }
+                );
+            });
+        });
+    });
+
+    it('should expire idle transactions', function(done) {
+        db.begin(function(err, results, info) {
+            expect(err).to.not.be.ok();
+
+            setTimeout(function() {
+                db.commit(info.transactionID, function(err) {
+                    expect(err).to.be.an.instanceof(Neo4j.ClientError);
+                    expect(err.code).to.equal(
+                        'Neo.ClientError.Transaction.UnknownId');
+
+                    done();
+                });
+            }, 80);
+        });
+    });
+
+    it('should return errors and roll back', function(done) {
+        db.begin(function(err, results, info) {
+            var statements = [
+                { 'statement': 'RETURN 1' },
+                { 'statement': 'FAIL' },
+                { 'statement': 'RETURN 2' }
+            ];
+
+            db.query(info.transactionID, statements,
+                function(err, results, info) {
+                    expect(err).to.be.an.instanceof(Neo4j.ClientError);
+                    expect(err).to.have.property('statementIndex', 1);
+                    expect(info.errors).to.have.length(1);
+                    expect(server.transactions).to.be.empty();
+
+                    done();
+                }
+            );
+        });
+    });
+
+    it('should work with managed transactions', function(done) {
+        db.runInTransaction(function(transaction, callback) {
+            transaction.query('CREATE (n)', { 'name': 'Erin' }, callback);
+        }, function(err, results) {
+            expect(err).to.not.be.ok();
+            expect(results).to.deep.equal([[{ 'name': 'Erin' }]]);
+            expect(server.transactions).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should reject unknown routes', function(done) {
+        var other = new Neo4j(server.uri + 'other');
+
+        other.query('RETURN 1', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.ClientError);
+            expect(err.code).to.equal('Neo.ClientError.Request.Invalid');
+
+            done();
+        });
+    });
+
+    describe('with authentication', function() {
+        var secure;
+
+        before(function(done) {
+            secure = new FakeServer({
+                'username': 'neo4j',
+                'password': 'secret'
+            });
+            secure.listen(done);
+        });
+
+        after(function(done) {
+            secure.close(done);
+        });
+
+        it('should reject the wrong credentials', function(done) {
+            var db = new Neo4j(secure.uri, { 'username': 'neo4j' });
+
+            db.query('RETURN 1', function(err) {
+                expect(err).to.be.an.instanceof(Neo4j.ClientError);
+                expect(err.code).to.equal(
+                    'Neo.ClientError.Security.AuthorizationFailed');
+
+                done();
+            });
+        });
+
+        it('should accept the right credentials', function(done) {
+            var db = new Neo4j(secure.uri,
+                { 'username': 'neo4j', 'password': 'secret' });
+
+            db.query('RETURN 1', function(err) {
+                expect(err).to.not.be.ok();
+
+                done();
+            });
+        });
+    });
+
+    describe('in a cluster', function() {
+        var slave;
+
+        before(function(done) {
+            slave = new FakeServer({ 'role': 'slave' });
+            slave.listen(done);
+        });
+
+        after(function(done) {
+            slave.close(done);
+        });
+
+        it('should report its role', function(done) {
+            var cluster = new Neo4j([server.uri, slave.uri]);
+
+            cluster.read('MATCH (n:Person) RETURN n.name AS name',
+                function(err) {
+                    expect(err).to.not.be.ok();
+                    expect(slave.requests.map(function(request) {
+                        return request.url;
+                    })).to.deep.equal([
+                        '/db/manage/server/ha/available',
+                        '/db/data/transaction/commit'
+                    ]);
+
+                    done();
+                }
+            );
+        });
+    });
+});
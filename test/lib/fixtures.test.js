@@ -0,0 +1,154 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Neo4j = require('../../neo4j.js');
+var FakeServer = require('../../lib/fake.js');
+var fixtures = require('../../lib/fixtures.js');
+
+describe('Fixtures', function() {
+    var server;
+    var file = path.join(os.tmpdir(), 'rainbird-neo4j-fixtures-' +
+        process.pid + '.json');
+
+    before(function(done) {
+        server = new FakeServer();
+        server.respond(/^MATCH/, function(statement, parameters) {
+            return { 'columns': ['name'], 'rows': [[parameters.name]] };
+        });
+        server.listen(done);
+    });
+
+    after(function(done) {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+
+        server.close(done);
+    });
+
+    // Record a query and a transaction against the fake server.
+
+    function recordAll(callback) {
+        var db = new Neo4j(server.uri,
+            { 'transport': fixtures.record(file) });
+
+        db.query('MATCH (n) RETURN n', { 'name': 'Alice' }, function(err) {
+            expect(err).to.not.be.ok();
+
+            db.begin('MATCH (n) RETURN n', { 'name': 'Bob' },
+                function(err, results, info) {
+                    expect(err).to.not.be.ok();
+
+                    db.commit(info.transactionID, callback);
+                }
+            );
+        });
+    }
+
+    it('should record each interaction', function(done) {
+        recordAll(function() {
+            var interactions = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+            expect(interactions).to.have.length(3);
+            expect(interactions[0].request).to.deep.equal({
+                'method': 'POST',
+                'path': '/db/data/transaction/commit',
+                'statements': [{
+                    'parameters': { 'name': 'Alice' },
+                    'statement': 'MATCH (n) RETURN n'
+                }]
+            });
+            expect(interactions[0].response).to.have.property('statusCode',
+                200);
+            expect(interactions[0].response.body.results[0].data).to.deep.equal(
+                [{ 'row': ['Alice'] }]);
+            expect(interactions[1].response).to.have.property('statusCode',
+                201);
+            expect(interactions[2].request.path).to.match(
+                /^\/db\/data\/transaction\/\d+\/commit$/);
+
+            done();
+        });
+    });
+
+    it('should record errors', function(done) {
+        var down = file + '.error';
+        var db = new Neo4j('http://127.0.0.1:1/',
+            { 'transport': fixtures.record(down) });
+
+        db.query('RETURN 1', function(err) {
+            var interactions = JSON.parse(fs.readFileSync(down, 'utf8'));
+            fs.unlinkSync(down);
+
+            expect(err).to.be.an.instanceof(Neo4j.NetworkError);
+            expect(interactions[0].error).to.have.property('code',
+                'ECONNREFUSED');
+            expect(interactions[0]).to.not.have.property('response');
+
+            done();
+        });
+    });
+
+    it('should replay interactions without a server', function(done) {
+        recordAll(function() {
+            var db = new Neo4j('http://elsewhere:7474',
+                { 'transport': fixtures.replay(file) });
+
+            db.query('MATCH (n)\n    RETURN n', { 'name': 'Alice' },
+                function(err, results) {
+                    expect(err).to.not.be.ok();
+                    expect(results).to.deep.equal([[{ 'name': 'Alice' }]]);
+
+                    db.begin('MATCH (n) RETURN n', { 'name': 'Bob' },
+                        function(err, results, info) {
+                            expect(results).to.deep.equal(
+                                [[{ 'name': 'Bob' }]]);
+
+                            db.commit(info.transactionID, function(err) {
+                                expect(err).to.not.be.ok();
+
+                                done();
+                            });
+                        }
+                    );
+                }
+            );
+        });
+    });
+
+    it('should fail requests that weren\'t recorded', function(done) {
+        recordAll(function() {
+            var db = new Neo4j('http://localhost:7474',
+                { 'transport': fixtures.replay(file) });
+
+            db.query('MATCH (n) RETURN n', { 'name': 'Carol' }, function(err) {
+                expect(err).to.be.an.instanceof(Neo4j.NetworkError);
+                expect(err.message).to.equal('No recorded response for ' +
+                    'POST /db/data/transaction/commit');
+
+                done();
+            });
+        });
+    });
+
+    it('should use each interaction once', function(done) {
+        recordAll(function() {
+            var db = new Neo4j('http://localhost:7474',
+                { 'transport': fixtures.replay(file) });
+
+            db.query('MATCH (n) RETURN n', { 'name': 'Alice' }, function(err) {
+                expect(err).to.not.be.ok();
+
+                db.query('MATCH (n) RETURN n', { 'name': 'Alice' },
+                    function(err) {
+                        expect(err).to.be.an.instanceof(Neo4j.NetworkError);
+
+                        done();
+                    }
+                );
+            });
+        });
+    });
+});
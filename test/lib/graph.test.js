@@ -0,0 +1,174 @@
+var expect = require('chai').expect;
+
+var graph = require('../../lib/graph.js');
+
+describe('Graph results', function() {
+    var base = 'http://localhost:7474/db/data/';
+
+    describe('when mapping the rest format', function() {
+        it('should map nodes', function(done) {
+            var node = graph.entity({
+                'self': base + 'node/5',
+                'data': { 'name': 'Alice' },
+                'metadata': { 'id': 5, 'labels': ['Person'] }
+            });
+
+            expect(node).to.deep.equal({
+                'id': 5,
+                'labels': ['Person'],
+                'properties': { 'name': 'Alice' }
+            });
+
+            done();
+        });
+
+        it('should fall back to the URL for node IDs', function(done) {
+            var node = graph.entity({ 'self': base + 'node/7', 'data': {} });
+
+            expect(node).to.have.property('id', 7);
+            expect(node.labels).to.be.empty();
+
+            done();
+        });
+
+        it('should map relationships', function(done) {
+            var relationship = graph.entity({
+                'self': base + 'relationship/3',
+                'start': base + 'node/5',
+                'end': base + 'node/6',
+                'type': 'KNOWS',
+                'data': { 'since': 2010 },
+                'metadata': { 'id': 3, 'type': 'KNOWS' }
+            });
+
+            expect(relationship).to.deep.equal({
+                'id': 3,
+                'type': 'KNOWS',
+                'startNode': 5,
+                'endNode': 6,
+                'properties': { 'since': 2010 }
+            });
+
+            done();
+        });
+
+        it('should map paths', function(done) {
+            var path = graph.entity({
+                'start': base + 'node/5',
+                'end': base + 'node/6',
+                'nodes': [base + 'node/5', base + 'node/6'],
+                'relationships': [base + 'relationship/3'],
+                'length': 1
+            });
+
+            expect(path).to.deep.equal({
+                'start': 5,
+                'end': 6,
+                'nodes': [5, 6],
+                'relationships': [3],
+                'length': 1
+            });
+
+            done();
+        });
+
+        it('should map collections', function(done) {
+            var nodes = graph.entity([
+                { 'self': base + 'node/1', 'data': {} },
+                { 'self': base + 'node/2', 'data': {} }
+            ]);
+
+            expect(nodes).to.have.length(2);
+            expect(nodes[1]).to.have.property('id', 2);
+
+            done();
+        });
+
+        it('should leave other values alone', function(done) {
+            expect(graph.entity('value')).to.equal('value');
+            expect(graph.entity(1)).to.equal(1);
+            expect(graph.entity(null)).to.equal(null);
+            expect(graph.entity({ 'a': 'b' })).to.deep.equal({ 'a': 'b' });
+
+            done();
+        });
+    });
+
+    describe('when mapping the graph format', function() {
+        it('should merge the rows of each statement', function(done) {
+            var results = [
+                {
+                    'columns': ['a'],
+                    'data': [
+                        {
+                            'graph': {
+                                'nodes': [
+                                    {
+                                        'id': '1',
+                                        'labels': ['Person'],
+                                        'properties': { 'name': 'Alice' }
+                                    },
+                                    { 'id': '2', 'labels': [], 'properties': {} }
+                                ],
+                                'relationships': [
+                                    {
+                                        'id': '9',
+                                        'type': 'KNOWS',
+                                        'startNode': '1',
+                                        'endNode': '2',
+                                        'properties': {}
+                                    }
+                                ]
+                            }
+                        },
+                        {
+                            'graph': {
+                                'nodes': [
+                                    {
+                                        'id': '1',
+                                        'labels': ['Person'],
+                                        'properties': { 'name': 'Alice' }
+                                    }
+                                ],
+                                'relationships': []
+                            }
+                        }
+                    ]
+                },
+                { 'columns': ['b'], 'data': [{ 'row': ['b'] }] }
+            ];
+
+            var graphs = graph.graphs(results);
+
+            expect(graphs).to.have.length(2);
+            expect(graphs[0].nodes).to.have.length(2);
+            expect(graphs[0].nodes[0]).to.deep.equal({
+                'id': 1,
+                'labels': ['Person'],
+                'properties': { 'name': 'Alice' }
+            });
+            expect(graphs[0].relationships).to.deep.equal([
+                {
+                    'id': 9,
+                    'type': 'KNOWS',
+                    'startNode': 1,
+                    'endNode': 2,
+                    'properties': {}
+                }
+            ]);
+            expect(graphs[1]).to.deep.equal(
+                { 'nodes': [], 'relationships': [] });
+
+            done();
+        });
+
+        it('should return undefined without graph results', function(done) {
+            var results = [{ 'columns': ['a'], 'data': [{ 'row': ['a'] }] }];
+
+            expect(graph.graphs(results)).to.be.undefined();
+            expect(graph.graphs('invalid')).to.be.undefined();
+
+            done();
+        });
+    });
+});
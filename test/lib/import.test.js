@@ -0,0 +1,361 @@
+var expect = require('chai').expect;
+var PassThrough = require('stream').PassThrough;
+
+var importer = require('../../lib/import.js');
+
+describe('Importing', function() {
+    describe('CSV', function() {
+        it('should use the header for the columns', function(done) {
+            var parser = importer.csv({ 'delimiter': ',' });
+
+            expect(parser.write('id,name\n1,Alice\n2,')).to.deep.equal(
+                [{ 'id': '1', 'name': 'Alice' }]);
+            expect(parser.write('Bob\r\n')).to.deep.equal(
+                [{ 'id': '2', 'name': 'Bob' }]);
+            expect(parser.end()).to.be.empty();
+
+            done();
+        });
+
+        it('should handle quoted fields across writes', function(done) {
+            var parser = importer.csv(
+                { 'delimiter': ';', 'columns': ['a', 'b'] });
+            var records = parser.write('"x;""y"');
+
+            records = records.concat(parser.write('"";"line\none"\n\n"'));
+            records = records.concat(parser.write('last"'));
+            records = records.concat(parser.end());
+
+            expect(records).to.deep.equal([
+                { 'a': 'x;"y"', 'b': 'line\none' },
+                { 'a': 'last', 'b': undefined }
+            ]);
+
+            done();
+        });
+
+        it('should reject unterminated quotes', function(done) {
+            var parser = importer.csv({ 'delimiter': ',', 'columns': ['a'] });
+
+            parser.write('"open');
+            expect(function() { parser.end(); }).to.throw(/Unterminated/);
+
+            done();
+        });
+    });
+
+    describe('NDJSON', function() {
+        it('should parse an object per line', function(done) {
+            var parser = importer.ndjson();
+
+            expect(parser.write('{"id":1}\n\n{"id"')).to.deep.equal(
+                [{ 'id': 1 }]);
+            expect(parser.write(':2}')).to.be.empty();
+            expect(parser.end()).to.deep.equal([{ 'id': 2 }]);
+
+            done();
+        });
+
+        it('should report the line of invalid JSON', function(done) {
+            var parser = importer.ndjson();
+
+            expect(function() {
+                parser.write('{"id":1}\n[1]\n');
+            }).to.throw(/Expected an object on line 2/);
+
+            done();
+        });
+    });
+
+    describe('with a mapping', function() {
+        var db;
+        var writes;
+        var mapping = {
+            'nodes': [{
+                'label': 'Person',
+                'key': 'id',
+                'properties': {
+                    'id': { 'column': 'id', 'type': 'integer' },
+                    'name': 'name',
+                    'active': { 'column': 'active', 'type': 'boolean' }
+                }
+            }, {
+                'label': 'Tag',
+                'properties': { 'name': 'tag' }
+            }],
+            'relationships': [{
+                'type': 'KNOWS',
+                'from': { 'label': 'Person', 'key': 'id', 'column': 'id',
+                    'type': 'integer' },
+                'to': { 'label': 'Person', 'key': 'id', 'column': 'friend',
+                    'type': 'integer' },
+                'properties': { 'since': { 'column': 'since',
+                    'type': 'float' } }
+            }]
+        };
+
+        beforeEach(function(done) {
+            writes = [];
+            db = {
+                'failing': undefined,
+                'bulk': function(statement, rows, options, callback) {
+                    var fail = statement === this.failing;
+                    var error = new Error('Failed');
+
+                    writes.push({
+                        'statement': statement,
+                        'rows': rows,
+                        'options': options
+                    });
+
+                    setImmediate(function() {
+                        callback(fail && !options.continueOnError ?
+                            error : null, {
+                            'completed': fail ? 0 : rows.length,
+                            'failures': fail ? [{
+                                'batch': 0,
+                                'start': 0,
+                                'rows': rows.length,
+                                'error': error
+                            }] : []
+                        });
+                    });
+                }
+            };
+
+            done();
+        });
+
+        function source(text) {
+            var stream = new PassThrough();
+
+            setImmediate(function() {
+                stream.end(text);
+            });
+
+            return stream;
+        }
+
+        it('should write nodes then relationships', function(done) {
+            var text = 'id,name,active,tag,friend,since\n' +
+                '1,Alice,yes,,2,2001.5\n' +
+                '2,Bob,no,admin,,\n';
+
+            importer.run(db, source(text), mapping, { 'format': 'csv' },
+                function(err, summary) {
+                    expect(err).to.not.be.ok();
+                    expect(writes.map(function(write) {
+                        return write.statement;
+                    })).to.deep.equal([
+                        'MERGE (n:`Person` {`id`: row.key}) ' +
+                            'SET n += row.properties',
+                        'CREATE (n:`Tag`) SET n = row.properties',
+                        'MATCH (from:`Person` {`id`: row.from}), ' +
+                            '(to:`Person` {`id`: row.to}) ' +
+                            'MERGE (from)-[r:`KNOWS`]->(to) ' +
+                            'SET r += row.properties'
+                    ]);
+                    expect(writes[0].rows).to.deep.equal([{
+                        'key': 1,
+                        'properties': { 'id': 1, 'name': 'Alice',
+                            'active': true }
+                    }, {
+                        'key': 2,
+                        'properties': { 'id': 2, 'name': 'Bob',
+                            'active': false }
+                    }]);
+                    expect(writes[1].rows).to.deep.equal([
+                        { 'properties': {} },
+                        { 'properties': { 'name': 'admin' } }
+                    ]);
+                    expect(writes[2].rows).to.deep.equal([{
+                        'from': 1,
+                        'to': 2,
+                        'properties': { 'since': 2001.5 }
+                    }]);
+                    expect(summary).to.deep.equal({
+                        'records': 2,
+                        'written': { 'Person': 2, 'Tag': 2, 'KNOWS': 1 },
+                        'failures': []
+                    });
+
+                    done();
+                }
+            );
+        });
+
+        it('should write in chunks and report progress', function(done) {
+            var lines = [];
+            var reports = [];
+            var options = {
+                'format': 'ndjson',
+                'batchSize': 2,
+                'concurrency': 2,
+                'progress': function(progress) {
+                    reports.push(progress);
+                }
+            };
+
+            for (var i = 0; i < 10; i++) {
+                lines.push(JSON.stringify({ 'id': i }));
+            }
+
+            var stream = new PassThrough();
+
+            importer.run(db, stream, { 'nodes': [mapping.nodes[0]] }, options,
+                function(err, summary) {
+                    expect(err).to.not.be.ok();
+                    expect(writes).to.have.length(3);
+                    expect(writes[0].rows).to.have.length(4);
+                    expect(writes[0].options).to.deep.equal({
+                        'batchSize': 2,
+                        'concurrency': 2,
+                        'continueOnError': false
+                    });
+                    expect(reports.map(function(report) {
+                        return report.written.Person;
+                    })).to.deep.equal([4, 8, 10]);
+                    expect(summary.written).to.deep.equal({ 'Person': 10 });
+
+                    done();
+                }
+            );
+
+            lines.forEach(function(line) {
+                stream.write(line + '\n');
+            });
+
+            stream.end();
+        });
+
+        it('should stop at a record that can\'t be converted', function(done) {
+            var text = 'id,name\n1,Alice\nx,Bob\n';
+
+            importer.run(db, source(text), mapping, { 'format': 'csv' },
+                function(err, summary) {
+                    expect(err).to.be.an.instanceof(Error);
+                    expect(err.message).to.equal('Error in record 1: ' +
+                        'Invalid integer "x" in column id');
+                    expect(err.summary).to.equal(summary);
+                    expect(writes).to.be.empty();
+                    expect(summary.failures).to.deep.equal(
+                        [{ 'record': 1, 'error': err }]);
+
+                    done();
+                }
+            );
+        });
+
+        it('should skip bad records if asked to', function(done) {
+            var text = 'id,name\n1,Alice\nx,Bob\n';
+            var options = { 'format': 'csv', 'continueOnError': true };
+
+            importer.run(db, source(text), mapping, options,
+                function(err, summary) {
+                    expect(err).to.not.be.ok();
+                    expect(writes[0].rows).to.have.length(1);
+                    expect(summary.failures[0]).to.have.property('record', 1);
+
+                    done();
+                }
+            );
+        });
+
+        it('should report the records of failed batches', function(done) {
+            var text = 'id,tag\n1,a\n,b\n3,c\n';
+            var options = { 'format': 'csv', 'continueOnError': true };
+
+            db.failing = 'MERGE (n:`Person` {`id`: row.key}) ' +
+                'SET n += row.properties';
+
+            importer.run(db, source(text), mapping, options,
+                function(err, summary) {
+                    expect(err).to.not.be.ok();
+                    expect(summary.written).to.deep.equal(
+                        { 'Person': 0, 'Tag': 3, 'KNOWS': 0 });
+                    expect(summary.failures).to.have.length(1);
+                    expect(summary.failures[0]).to.have.property('mapping',
+                        'Person');
+                    expect(summary.failures[0].records).to.deep.equal([0, 2]);
+
+                    done();
+                }
+            );
+        });
+
+        it('should fail on an unknown format', function(done) {
+            importer.run(db, 'people.txt', mapping, {}, function(err) {
+                expect(err).to.be.an.instanceof(Error);
+                expect(err.message).to.equal('Unknown import format for ' +
+                    'people.txt, expected csv or ndjson');
+                expect(writes).to.be.empty();
+
+                done();
+            });
+        });
+
+        it('should fail on an invalid mapping', function(done) {
+            var invalid = { 'relationships': [{ 'type': 'KNOWS' }] };
+
+            importer.run(db, source(''), invalid, { 'format': 'csv' },
+                function(err) {
+                    expect(err).to.be.an.instanceof(Error);
+                    expect(err.message).to.match(/must have a label, key/);
+
+                    done();
+                }
+            );
+        });
+
+        it('should quote names that aren\'t strings', function(done) {
+            var numeric = {
+                'nodes': [{
+                    'label': 2015,
+                    'key': 1,
+                    'properties': { '1': 'id' }
+                }],
+                'relationships': [{
+                    'type': 7,
+                    'from': { 'label': 2015, 'key': 1, 'column': 'id' },
+                    'to': { 'label': 2015, 'key': 1, 'column': 'id' }
+                }]
+            };
+
+            importer.run(db, source('id\n1\n'), numeric, { 'format': 'csv' },
+                function(err) {
+                    expect(err).to.not.be.ok();
+                    expect(writes[0].statement).to.equal('MERGE (n:`2015` ' +
+                        '{`1`: row.key}) SET n += row.properties');
+                    expect(writes[1].statement).to.equal('MATCH ' +
+                        '(from:`2015` {`1`: row.from}), ' +
+                        '(to:`2015` {`1`: row.to}) ' +
+                        'MERGE (from)-[r:`7`]->(to) SET r += row.properties');
+
+                    done();
+                }
+            );
+        });
+
+        it('should fail on a node mapping without a label', function(done) {
+            var invalid = { 'nodes': [{ 'properties': { 'name': 'name' } }] };
+
+            importer.run(db, source(''), invalid, { 'format': 'csv' },
+                function(err) {
+                    expect(err).to.be.an.instanceof(Error);
+                    expect(err.message).to.equal(
+                        'Node mappings must have a label');
+
+                    done();
+                }
+            );
+        });
+
+        it('should pass on stream errors', function(done) {
+            importer.run(db, 'missing.csv', mapping, {}, function(err) {
+                expect(err).to.have.property('code', 'ENOENT');
+
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,250 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Neo4j = require('../../neo4j.js');
+var FakeServer = require('../../lib/fake.js');
+var Migrations = require('../../lib/migrations.js');
+
+describe('Migrations', function() {
+    var server;
+    var db;
+    var nodes;
+    var directory = path.join(os.tmpdir(), 'rainbird-neo4j-migrations-' +
+        process.pid);
+    var files = {
+        '001_person_index.cypher': 'CREATE INDEX ON :Person(name)',
+        '001_person_index.down.cypher': 'DROP INDEX ON :Person(name)',
+        '002_people.cypher': '// Add some people\n' +
+            'CREATE (:Person { name: \'Alice; Bob\' });\n' +
+            'CREATE (:Person { name: "Carol" });\n',
+        '002_people.down.cypher': 'MATCH (n:Person) DELETE n',
+        '003_fix.cypher': 'MATCH (n:Person) SET n.fixed = true',
+        'README.md': 'Not a migration'
+    };
+
+    function write(name, script) {
+        fs.writeFileSync(path.join(directory, name), script);
+    }
+
+    function statements() {
+        return server.requests.map(function(request) {
+            return (request.body.statements || []).map(function(statement) {
+                return statement.statement;
+            });
+        });
+    }
+
+    before(function(done) {
+        server = new FakeServer();
+        server.listen(function(err, uri) {
+            db = new Neo4j(uri);
+            done(err);
+        });
+    });
+
+    after(function(done) {
+        fs.readdirSync(directory).forEach(function(file) {
+            fs.unlinkSync(path.join(directory, file));
+        });
+        fs.rmdirSync(directory);
+
+        server.close(done);
+    });
+
+    // Keep track of the migration nodes in the fake server.
+
+    beforeEach(function(done) {
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory);
+        }
+
+        Object.keys(files).forEach(function(name) {
+            write(name, files[name]);
+        });
+
+        nodes = [];
+        server.reset();
+        server.respond(/^MATCH \(m:`Migration`\) RETURN/, function() {
+            return {
+                'columns': ['version', 'name', 'checksum', 'appliedAt'],
+                'rows': nodes.map(function(node) {
+                    return [node.version, node.name, node.checksum, 1];
+                })
+            };
+        });
+        server.respond(/^CREATE \(m:`Migration`/, function(statement, params) {
+            nodes.push(params);
+        });
+        server.respond(/^MATCH \(m:`Migration` \{ version/,
+            function(statement, parameters) {
+                nodes = nodes.filter(function(node) {
+                    return node.version !== parameters.version;
+                });
+            }
+        );
+
+        done();
+    });
+
+    it('should split scripts into statements', function(done) {
+        expect(Migrations.split('RETURN \';\'; /* a; b */ RETURN `x;y`;\n' +
+            '// c;\nRETURN "\\";";;')).to.deep.equal([
+                'RETURN \';\'',
+                'RETURN `x;y`',
+                'RETURN "\\";"'
+            ]);
+
+        done();
+    });
+
+    it('should load migrations in order of version', function(done) {
+        write('10_later.cypher', 'RETURN 10');
+
+        db.migrations(directory).load(function(err, migrations) {
+            fs.unlinkSync(path.join(directory, '10_later.cypher'));
+
+            expect(err).to.not.be.ok();
+            expect(migrations.map(function(migration) {
+                return migration.version + '_' + migration.name;
+            })).to.deep.equal(
+                ['001_person_index', '002_people', '003_fix', '10_later']);
+            expect(migrations[0].down).to.equal('DROP INDEX ON :Person(name)');
+            expect(migrations[2].down).to.be.undefined();
+            expect(migrations[0].checksum).to.match(/^[0-9a-f]{64}$/);
+
+            done();
+        });
+    });
+
+    it('should refuse duplicate versions', function(done) {
+        write('1_again.cypher', 'RETURN 1');
+
+        db.migrations(directory).load(function(err) {
+            fs.unlinkSync(path.join(directory, '1_again.cypher'));
+
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.message).to.match(/Duplicate migration version/);
+
+            done();
+        });
+    });
+
+    it('should apply pending migrations', function(done) {
+        db.migrations(directory).up(function(err, applied) {
+            expect(err).to.not.be.ok();
+            expect(applied).to.have.length(3);
+            expect(nodes.map(function(node) {
+                return node.version;
+            })).to.deep.equal(['001', '002', '003']);
+
+            // The schema change is recorded after it's committed, and the
+            // data changes in the same transaction.
+
+            expect(statements().slice(1, 5)).to.deep.equal([
+                ['CREATE INDEX ON :Person(name)'],
+                [],
+                [statements()[3][0]],
+                [
+                    'CREATE (:Person { name: \'Alice; Bob\' })',
+                    'CREATE (:Person { name: "Carol" })'
+                ]
+            ]);
+            expect(statements()[3][0]).to.match(/^CREATE \(m:`Migration`/);
+            expect(server.transactions).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should apply migrations up to a version', function(done) {
+        var migrations = db.migrations(directory);
+
+        migrations.up('002').then(function(applied) {
+            expect(applied).to.have.length(2);
+
+            return migrations.status();
+        }).then(function(status) {
+            expect(status.map(function(migration) {
+                return migration.state;
+            })).to.deep.equal(['applied', 'applied', 'pending']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('should undo the last migration', function(done) {
+        var migrations = db.migrations(directory);
+
+        migrations.up('002', function(err) {
+            expect(err).to.not.be.ok();
+
+            migrations.down(function(err, reverted) {
+                expect(err).to.not.be.ok();
+                expect(reverted).to.have.length(1);
+                expect(reverted[0].name).to.equal('people');
+                expect(nodes).to.have.length(1);
+                expect(statements().pop()[0]).to.match(/DELETE m$/);
+
+                done();
+            });
+        });
+    });
+
+    it('should fail to undo a migration without a down script', function(done) {
+        var migrations = db.migrations(directory);
+
+        migrations.up(function(err) {
+            expect(err).to.not.be.ok();
+
+            migrations.down('0', function(err, reverted) {
+                expect(err).to.be.an.instanceof(Error);
+                expect(err.message).to.equal('Migration 003_fix has no ' +
+                    'down migration');
+                expect(reverted).to.be.empty();
+                expect(nodes).to.have.length(3);
+
+                done();
+            });
+        });
+    });
+
+    it('should refuse to run if an applied migration changed', function(done) {
+        var migrations = db.migrations(directory);
+
+        migrations.up('001', function(err) {
+            expect(err).to.not.be.ok();
+
+            write('001_person_index.cypher', 'CREATE INDEX ON :Person(email)');
+            server.requests = [];
+
+            migrations.up(function(err, applied) {
+                expect(err).to.be.an.instanceof(Error);
+                expect(err.message).to.equal('The checksum of applied ' +
+                    'migration 001_person_index has changed');
+                expect(applied).to.be.undefined();
+                expect(server.requests).to.have.length(1);
+
+                done();
+            });
+        });
+    });
+
+    it('should report missing migrations', function(done) {
+        nodes.push({ 'version': '000', 'name': 'gone', 'checksum': 'x' });
+
+        db.migrations(directory).status(function(err, status) {
+            expect(err).to.not.be.ok();
+            expect(status[0]).to.deep.equal({
+                'version': '000',
+                'name': 'gone',
+                'appliedAt': 1,
+                'state': 'missing'
+            });
+            expect(status[1].state).to.equal('pending');
+
+            done();
+        });
+    });
+});
@@ -0,0 +1,73 @@
+var expect = require('chai').expect;
+
+var readonly = require('../../lib/readonly.js');
+
+describe('Read only mode', function() {
+    describe('when finding write clauses', function() {
+        it('should find each write clause', function(done) {
+            var queries = {
+                'CREATE (n:Person)': 'CREATE',
+                'MERGE (n:Person { name: {name} })': 'MERGE',
+                'MATCH (n) SET n.name = "name"': 'SET',
+                'MATCH (n) DETACH DELETE n': 'DELETE',
+                'MATCH (n) REMOVE n:Person': 'REMOVE',
+                'DROP INDEX ON :Person(name)': 'DROP',
+                'LOAD  CSV FROM "file:///people.csv" AS line RETURN line':
+                    'LOAD CSV',
+                'match (n) with n\nset n.seen = true': 'SET'
+            };
+
+            Object.keys(queries).forEach(function(query) {
+                expect(readonly.findWrite(query)).to.equal(queries[query]);
+            });
+
+            done();
+        });
+
+        it('should allow reads', function(done) {
+            var queries = [
+                'MATCH (n:Person) RETURN n',
+                'MATCH (n) WHERE n.name = "CREATE (m)" RETURN n',
+                'MATCH (n) WHERE n.name = \'it\\\'s SET\' RETURN n',
+                'MATCH (n) // DELETE n\nRETURN n',
+                'MATCH (n) /* REMOVE n.name */ RETURN n',
+                'MATCH (`create`) RETURN `create`',
+                'MATCH (n) RETURN n.set, n.created, n.delete',
+                'MATCH (n:Create)-[:DELETE]->(m) RETURN n',
+                'MATCH (n { merge: {merge} }) RETURN n',
+                'MATCH (n) WHERE n.name = $set RETURN n',
+                'MATCH (n) RETURN toSet(n), reset, createdAt',
+                ''
+            ];
+
+            queries.forEach(function(query) {
+                expect(readonly.findWrite(query)).to.be.undefined();
+            });
+
+            done();
+        });
+    });
+
+    describe('when checking statements', function() {
+        it('should return an error naming the statement', function(done) {
+            var err = readonly.check([
+                { 'statement': 'MATCH (n) RETURN n' },
+                { 'statement': 'MATCH (n) DELETE n' }
+            ]);
+
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.message).to.equal('Error, write clause DELETE in ' +
+                'statement 1 is not allowed in read only mode');
+
+            done();
+        });
+
+        it('should not return an error for reads', function(done) {
+            expect(readonly.check([{ 'statement': 'MATCH (n) RETURN n' }]))
+                .to.be.undefined();
+            expect(readonly.check([])).to.be.undefined();
+
+            done();
+        });
+    });
+});
@@ -0,0 +1,221 @@
+var expect = require('chai').expect;
+var PassThrough = require('stream').PassThrough;
+
+var Neo4j = require('../../neo4j.js');
+var FakeServer = require('../../lib/fake.js');
+var Repl = require('../../lib/repl.js');
+
+describe('The REPL', function() {
+    var server;
+    var db;
+    var output;
+    var repl;
+
+    before(function(done) {
+        server = new FakeServer();
+        server.listen(function(err, uri) {
+            db = new Neo4j(uri);
+            done(err);
+        });
+    });
+
+    after(function(done) {
+        server.close(done);
+    });
+
+    beforeEach(function(done) {
+        output = '';
+        repl = new Repl(db, {
+            'write': function(text) { output += text; }
+        });
+
+        server.reset();
+        server.respond(/^MATCH \(n:Person/, function(statement, parameters) {
+            return {
+                'columns': ['name', 'age'],
+                'rows': [['Alice', parameters.age]]
+            };
+        });
+        server.respond('FAIL', {
+            'error': {
+                'code': 'Neo.ClientError.Statement.InvalidSyntax',
+                'message': 'Invalid input'
+            }
+        });
+
+        done();
+    });
+
+    // Feed each line to the REPL in turn.
+
+    function lines(input, callback) {
+        var exits = [];
+
+        var next = function() {
+            if (input.length === 0) {
+                return callback(exits);
+            }
+
+            repl.line(input.shift(), function(exit) {
+                exits.push(exit);
+                next();
+            });
+        };
+
+        next();
+    }
+
+    it('should run statements ending in a semicolon', function(done) {
+        lines(['MATCH (n:${label})', 'RETURN n.name AS name;'],
+            function() {
+                expect(output).to.equal('Error: Error, unmatched parameter: ' +
+                    '${label}\n');
+                expect(server.requests).to.be.empty();
+
+                output = '';
+
+                lines([':sub label Person', ':param age 42',
+                    'MATCH (n:${label})', 'RETURN n;'], function() {
+                        expect(server.requests).to.have.length(1);
+                        expect(server.requests[0].body.statements[0])
+                            .to.deep.equal({
+                                'statement': 'MATCH (n:Person)\nRETURN n',
+                                'parameters': { 'age': 42 }
+                            });
+                        expect(output).to.match(new RegExp('^' +
+                            '\\| name  \\| age \\|\\n' +
+                            '\\|-------\\|-----\\|\\n' +
+                            '\\| Alice \\| 42  \\|\\n' +
+                            '1 row\\n' +
+                            'Completed in \\d+ ms\\n$'));
+
+                        done();
+                    }
+                );
+            }
+        );
+    });
+
+    it('should show a continuation prompt', function(done) {
+        expect(repl.prompt()).to.equal('neo4j> ');
+
+        lines(['MATCH (n)'], function() {
+            expect(repl.prompt()).to.equal('     ...> ');
+            expect(server.requests).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should list and remove parameters', function(done) {
+        lines([':param name "Bob"', ':param age 42', ':param age', ':param'],
+            function() {
+                expect(repl.parameters).to.deep.equal({ 'name': 'Bob' });
+                expect(output).to.equal('name: "Bob"\n');
+
+                done();
+            }
+        );
+    });
+
+    it('should run statements in a transaction', function(done) {
+        lines([':begin', 'MATCH (n:Person) RETURN n;'], function() {
+            var id = repl.transaction.id;
+
+            expect(output).to.match(new RegExp('^Began transaction ' + id));
+            expect(repl.prompt()).to.equal('neo4j(' + id + ')> ');
+            expect(server.requests[1].url).to.equal(
+                '/db/data/transaction/' + id);
+
+            lines([':commit', ':commit'], function() {
+                expect(repl.transaction).to.be.undefined();
+                expect(server.transactions).to.be.empty();
+                expect(output).to.match(new RegExp('Committed transaction ' +
+                    id + '\nNo transaction is open\n$'));
+
+                done();
+            });
+        });
+    });
+
+    it('should roll back transactions', function(done) {
+        lines([':begin', ':begin', ':rollback'], function() {
+            expect(output).to.match(/is already open\nRolled back transaction/);
+            expect(repl.transaction).to.be.undefined();
+            expect(server.transactions).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should report transactions closed by errors', function(done) {
+        lines([':begin', 'FAIL;'], function() {
+            expect(output).to.match(/\nError: .*Invalid input\n/);
+            expect(output).to.match(/Transaction \d+ rolled back\n$/);
+            expect(repl.transaction).to.be.undefined();
+
+            done();
+        });
+    });
+
+    it('should handle help, exit and unknown commands', function(done) {
+        lines([':help', ':nope', ':exit'], function(exits) {
+            expect(exits).to.deep.equal([false, false, true]);
+            expect(output).to.match(/^Statements end with a semicolon/);
+            expect(output).to.match(/Unknown command :nope/);
+
+            done();
+        });
+    });
+
+    it('should read lines from a stream', function(done) {
+        var io = {
+            'stdin': new PassThrough(),
+            'stdout': new PassThrough()
+        };
+        var text = '';
+
+        io.stdout.on('data', function(chunk) {
+            text += chunk;
+        });
+
+        Repl.start(db, io, { 'parameters': { 'age': 7 } }, function(err) {
+            expect(err).to.not.be.ok();
+            expect(text).to.match(/^Began transaction \d+\n\| name/);
+            expect(text).to.match(/\| Alice \| 7   \|/);
+            expect(text).to.match(/Rolled back transaction \d+\n$/);
+            expect(server.requests).to.have.length(3);
+            expect(server.transactions).to.be.empty();
+
+            done();
+        });
+
+        io.stdin.end(':begin\nMATCH (n:Person)\nRETURN n;\n:exit\nRETURN 1;\n');
+    });
+
+    it('should only report rollbacks that succeed', function(done) {
+        var io = {
+            'stdin': new PassThrough(),
+            'stdout': new PassThrough()
+        };
+        var text = '';
+
+        io.stdout.on('data', function(chunk) {
+            text += chunk;
+
+            if (/^Began transaction \d+\n$/.test(text)) {
+                server.reset();
+                io.stdin.end();
+            }
+        });
+
+        Repl.start(db, io, {}, function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.ClientError);
+            expect(text).to.not.match(/Rolled back/);
+
+            done();
+        });
+
+        io.stdin.write(':begin\n');
+    });
+});
@@ -0,0 +1,103 @@
+var expect = require('chai').expect;
+
+var errors = require('../../lib/errors.js');
+var retry = require('../../lib/retry.js');
+
+describe('Retry policies', function() {
+    var reset = new errors.NetworkError({ 'code': 'ECONNRESET' });
+    var unavailable = new errors.ProtocolError('Unavailable', 503);
+    var deadlock = errors.fromNeo4j('Deadlock',
+        [{ 'code': 'Neo.TransientError.Transaction.DeadlockDetected' }]);
+    var syntax = errors.fromNeo4j('Syntax',
+        [{ 'code': 'Neo.ClientError.Statement.InvalidSyntax' }]);
+
+    it('should not retry without options', function(done) {
+        var policy = retry.policy();
+
+        expect(policy).to.be.undefined();
+        expect(retry.shouldRetry(policy, reset, 1)).to.equal(false);
+
+        done();
+    });
+
+    it('should use the defaults', function(done) {
+        var policy = retry.policy(true);
+
+        expect(policy).to.have.property('maxAttempts', 3);
+        expect(policy).to.have.property('delay', 100);
+        expect(policy).to.have.property('factor', 2);
+        expect(policy).to.have.property('maxDelay', 5000);
+        expect(policy).to.have.property('jitter', true);
+
+        done();
+    });
+
+    it('should retry transient failures by default', function(done) {
+        var policy = retry.policy({});
+
+        expect(retry.shouldRetry(policy, reset, 1)).to.equal(true);
+        expect(retry.shouldRetry(policy, unavailable, 1)).to.equal(true);
+        expect(retry.shouldRetry(policy, deadlock, 1)).to.equal(true);
+        expect(retry.shouldRetry(policy, new errors.UnavailableError('None'),
+            1)).to.equal(true);
+        expect(retry.shouldRetry(policy, syntax, 1)).to.equal(false);
+        expect(retry.shouldRetry(policy, new errors.ProtocolError('Bad', 400),
+            1)).to.equal(false);
+        expect(retry.shouldRetry(policy, new Error('Error'), 1)).to.equal(
+            false);
+
+        done();
+    });
+
+    it('should stop after the maximum attempts', function(done) {
+        var policy = retry.policy({ 'maxAttempts': 2 });
+
+        expect(retry.shouldRetry(policy, reset, 1)).to.equal(true);
+        expect(retry.shouldRetry(policy, reset, 2)).to.equal(false);
+
+        done();
+    });
+
+    it('should accept a list of retryable classes', function(done) {
+        var policy = retry.policy({ 'retryable': [errors.NetworkError] });
+
+        expect(retry.shouldRetry(policy, reset, 1)).to.equal(true);
+        expect(retry.shouldRetry(policy, deadlock, 1)).to.equal(false);
+
+        done();
+    });
+
+    it('should accept a retryable function', function(done) {
+        var policy = retry.policy({
+            'retryable': function(err) {
+                return err.code === 'ECONNRESET';
+            }
+        });
+
+        expect(retry.shouldRetry(policy, reset, 1)).to.equal(true);
+        expect(retry.shouldRetry(policy, unavailable, 1)).to.equal(false);
+
+        done();
+    });
+
+    it('should back off exponentially', function(done) {
+        var policy = retry.policy({ 'jitter': false, 'maxDelay': 300 });
+
+        expect(retry.backoff(policy, 1)).to.equal(100);
+        expect(retry.backoff(policy, 2)).to.equal(200);
+        expect(retry.backoff(policy, 3)).to.equal(300);
+
+        done();
+    });
+
+    it('should add jitter', function(done) {
+        var policy = retry.policy({ 'delay': 100, 'factor': 1 });
+
+        for (var i = 0; i < 20; i++) {
+            var wait = retry.backoff(policy, 1);
+            expect(wait).to.be.within(50, 100);
+        }
+
+        done();
+    });
+});
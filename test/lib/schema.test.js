@@ -0,0 +1,127 @@
+var expect = require('chai').expect;
+
+var schema = require('../../lib/schema.js');
+
+describe('Schema differences', function() {
+    var indexes = [
+        { 'label': 'Person', 'properties': ['name'] },
+        { 'label': 'Person', 'properties': ['email'] },
+        { 'label': 'Old', 'properties': ['id'] }
+    ];
+    var constraints = [
+        { 'label': 'Person', 'type': 'UNIQUENESS', 'properties': ['email'] },
+        { 'label': 'Old', 'type': 'UNIQUENESS', 'properties': ['code'] }
+    ];
+
+    function summary(changes) {
+        return changes.map(function(change) {
+            return [change.action, change.type, change.label,
+                change.property].join(' ');
+        });
+    }
+
+    it('should find nothing to do when up to date', function(done) {
+        var spec = {
+            'Person': { 'indexes': ['name'], 'unique': ['email'] },
+            'Old': { 'indexes': ['id'], 'unique': ['code'] }
+        };
+
+        expect(schema.diff(spec, indexes, constraints)).to.be.empty();
+
+        done();
+    });
+
+    it('should create and drop the differences', function(done) {
+        var spec = {
+            'Person': { 'indexes': ['name', 'age'], 'unique': ['email'] },
+            'Company': { 'unique': ['name'] }
+        };
+
+        expect(summary(schema.diff(spec, indexes, constraints))).to.deep.equal([
+            'drop constraint Old code',
+            'drop index Old id',
+            'create constraint Company name',
+            'create index Person age'
+        ]);
+
+        done();
+    });
+
+    it('should keep what isn\'t described if asked to', function(done) {
+        var spec = { 'Company': { 'indexes': ['name'] } };
+        var options = { 'drop': false };
+
+        expect(summary(schema.diff(spec, indexes, constraints, options)))
+            .to.deep.equal(['create index Company name']);
+
+        done();
+    });
+
+    it('should turn indexes into constraints', function(done) {
+        var spec = { 'Person': { 'unique': ['name', 'email'] } };
+        var options = { 'drop': false };
+
+        expect(summary(schema.diff(spec, indexes, constraints, options)))
+            .to.deep.equal([
+                'drop index Person name',
+                'create constraint Person name'
+            ]);
+
+        done();
+    });
+
+    it('should turn constraints into indexes', function(done) {
+        var spec = { 'Person': { 'indexes': ['name', 'email'] } };
+
+        expect(summary(schema.diff(spec, indexes, [constraints[0]])))
+            .to.deep.equal([
+                'drop constraint Person email',
+                'drop index Old id',
+                'create index Person email'
+            ]);
+
+        done();
+    });
+
+    it('should ignore other rules', function(done) {
+        var composite = [{ 'label': 'Person', 'properties': ['a', 'b'] }];
+        var existence = [{
+            'label': 'Person',
+            'type': 'NODE_PROPERTY_EXISTENCE',
+            'properties': ['name']
+        }];
+
+        expect(schema.diff({}, composite, existence)).to.be.empty();
+
+        done();
+    });
+
+    it('should reject invalid descriptions', function(done) {
+        expect(function() {
+            schema.diff([], [], []);
+        }).to.throw(/must be an object of labels/);
+
+        expect(function() {
+            schema.diff({ 'Person': { 'unique': 'email' } }, [], []);
+        }).to.throw(/The unique of Person must be an array/);
+
+        expect(function() {
+            schema.diff({ 'Person': { 'indexes': ['a'], 'unique': ['a'] } },
+                [], []);
+        }).to.throw(/Property a of Person can't have both/);
+
+        expect(function() {
+            schema.diff({ 'Person': { 'indexes': [1] } }, [], []);
+        }).to.throw(/The indexes of Person must be non-empty property names/);
+
+        expect(function() {
+            schema.diff({ 'Person': { 'unique': [''] } }, [], []);
+        }).to.throw(/The unique of Person must be non-empty property names/);
+
+        expect(function() {
+            schema.diff({ '': { 'indexes': ['name'] } }, [], []);
+        }).to.throw(/Labels in the schema must not be empty/);
+
+        done();
+    });
+});
@@ -0,0 +1,131 @@
+var expect = require('chai').expect;
+
+var slowlog = require('../../lib/slowlog.js');
+
+describe('The slow query log', function() {
+    var reports;
+    var event;
+
+    var log = function(report) {
+        reports.push(report);
+    };
+
+    beforeEach(function(done) {
+        reports = [];
+        event = {
+            'endpoint': 'http://localhost:7474/db/data/transaction/2',
+            'transactionID': 2,
+            'duration': 150,
+            'statements': [{
+                'statement': 'MATCH (n) WHERE n.name = {name} RETURN n',
+                'parameters': {
+                    'name': 'Alice',
+                    'age': 30,
+                    'tags': ['a'],
+                    'address': { 'city': 'Aberdeen' },
+                    'missing': null
+                }
+            }]
+        };
+
+        done();
+    });
+
+    it('should be off without options', function(done) {
+        expect(slowlog.settings()).to.be.undefined();
+
+        done();
+    });
+
+    it('should use the defaults', function(done) {
+        var settings = slowlog.settings(true);
+
+        expect(settings).to.have.property('threshold', 1000);
+        expect(settings.log).to.be.a('function');
+        expect(settings.redact).to.be.a('function');
+
+        done();
+    });
+
+    it('should report requests over the threshold', function(done) {
+        slowlog.report({ 'threshold': 100, 'log': log }, event);
+
+        expect(reports).to.have.length(1);
+        expect(reports[0]).to.have.property('duration', 150);
+        expect(reports[0]).to.have.property('threshold', 100);
+        expect(reports[0]).to.have.property('transactionID', 2);
+        expect(reports[0]).to.have.property('endpoint', event.endpoint);
+        expect(reports[0]).to.not.have.property('error');
+        expect(reports[0].statements[0]).to.have.property('statement',
+            'MATCH (n) WHERE n.name = {name} RETURN n');
+
+        done();
+    });
+
+    it('should not report requests under the threshold', function(done) {
+        slowlog.report({ 'threshold': 150, 'log': log }, event);
+        slowlog.report(undefined, event);
+
+        expect(reports).to.be.empty();
+
+        done();
+    });
+
+    it('should only report the types of parameters', function(done) {
+        slowlog.report({ 'threshold': 100, 'log': log }, event);
+
+        expect(reports[0].statements[0].parameters).to.deep.equal({
+            'name': '<string>',
+            'age': '<number>',
+            'tags': '<array>',
+            'address': '<object>',
+            'missing': '<null>'
+        });
+
+        done();
+    });
+
+    it('should use a custom redactor', function(done) {
+        var redact = function(name, value) {
+            return name === 'age' ? value : '***';
+        };
+
+        slowlog.report({ 'threshold': 100, 'log': log, 'redact': redact },
+            event);
+
+        expect(reports[0].statements[0].parameters).to.have.property('age',
+            30);
+        expect(reports[0].statements[0].parameters).to.have.property('name',
+            '***');
+
+        done();
+    });
+
+    it('should include the error', function(done) {
+        event.error = new Error('Error');
+
+        slowlog.report({ 'threshold': 100, 'log': log }, event);
+
+        expect(reports[0]).to.have.property('error', event.error);
+
+        done();
+    });
+
+    it('should warn by default', function(done) {
+        var warn = console.warn;
+        var messages = [];
+
+        console.warn = function(message) {
+            messages.push(message);
+        };
+
+        slowlog.report({ 'threshold': 100 }, event);
+        console.warn = warn;
+
+        expect(messages).to.have.length(1);
+        expect(messages[0]).to.match(/^Slow query: 150ms in transaction 2/);
+        expect(messages[0]).to.match(/RETURN n \{"name":"<string>"/);
+
+        done();
+    });
+});
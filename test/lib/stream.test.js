@@ -0,0 +1,96 @@
+var expect = require('chai').expect;
+var EventEmitter = require('events').EventEmitter;
+
+var RowStream = require('../../lib/stream.js');
+
+describe('A row stream', function() {
+    var request;
+    var paused;
+    var resumed;
+
+    function mapRow(columns, data) {
+        return { 'columns': columns, 'data': data };
+    }
+
+    beforeEach(function(done) {
+        paused = false;
+        resumed = false;
+        request = new EventEmitter();
+        request.pause = function() { paused = true; };
+        request.resume = function() { resumed = paused; };
+
+        done();
+    });
+
+    it('should map rows using the columns of their statement', function(done) {
+        var stream = new RowStream(mapRow);
+
+        stream.consume(request, function(err, response) {
+            expect(err).to.not.be.ok();
+            expect(response).to.have.property('statusCode', 200);
+            expect(response.body.results[0].columns).to.deep.equal(['a']);
+            expect(Object.keys(response.body.results[0].data)).to.be.empty();
+
+            var data = stream.read();
+
+            expect(data).to.deep.equal({
+                'index': 0,
+                'row': { 'columns': ['a'], 'data': { 'row': [1] } }
+            });
+
+            done();
+        });
+
+        request.emit('response', { 'statusCode': 200 });
+        request.emit('data', '{"results":[{"columns":["a"],"da');
+        request.emit('data', 'ta":[{"row":[1]}]}],"errors":[]}');
+        request.emit('end');
+    });
+
+    it('should pause the request when full', function(done) {
+        var stream = new RowStream(mapRow);
+        var rows = [];
+
+        for (var i = 0; i < 20; i++) {
+            rows.push({ 'row': [i] });
+        }
+
+        stream.consume(request, function() {
+            expect(paused).to.equal(true);
+            expect(resumed).to.equal(false);
+
+            // Mimic a request that is still in progress.
+            stream.source = request;
+
+            var read = 0;
+
+            while (stream.read() !== null) {
+                read++;
+            }
+
+            expect(read).to.equal(20);
+            expect(resumed).to.equal(true);
+            done();
+        });
+
+        request.emit('data', JSON.stringify({
+            'results': [{ 'columns': ['a'], 'data': rows }]
+        }));
+        request.emit('end');
+    });
+
+    it('should drop invalid bodies', function(done) {
+        var stream = new RowStream(mapRow);
+
+        stream.consume(request, function(err, response) {
+            expect(err).to.not.be.ok();
+            expect(response.body).to.be.undefined();
+
+            done();
+        });
+
+        request.emit('data', '<html>');
+        request.emit('data', '</html>');
+        request.emit('end');
+    });
+});
@@ -0,0 +1,429 @@
+var expect = require('chai').expect;
+
+var Transaction = require('../../lib/transaction.js');
+
+describe('A transaction', function() {
+    var db;
+    var calls;
+    var errors;
+    var expiry = 'Mon, 16 Feb 2015 10:23:43 +0000';
+
+    function respond(method) {
+        return function() {
+            var args = Array.prototype.slice.call(arguments);
+            var callback = args.pop();
+            var info = {
+                'statements': [],
+                'errors': errors,
+                'transactionID': args[0],
+                'timeout': expiry
+            };
+
+            calls.push({ 'method': method, 'args': args });
+
+            if (errors.length > 0) {
+                return callback(new Error('Error'), [], info);
+            }
+
+            callback(null, [], info);
+        };
+    }
+
+    beforeEach(function(done) {
+        calls = [];
+        errors = [];
+        db = {
+            'query': respond('query'),
+            'commit': respond('commit'),
+            'rollback': respond('rollback'),
+            'resetTimeout': respond('resetTimeout')
+        };
+
+        done();
+    });
+
+    it('should be open when created', function(done) {
+        var transaction = new Transaction(db, 1, expiry);
+
+        expect(transaction).to.have.property('id', 1);
+        expect(transaction).to.have.property('state', Transaction.OPEN);
+        expect(transaction.isOpen()).to.equal(true);
+        expect(transaction.expires).to.be.an.instanceof(Date);
+        expect(transaction.expires.getTime()).to.equal(Date.parse(expiry));
+
+        done();
+    });
+
+    it('should pass the transaction ID to queries', function(done) {
+        var transaction = new Transaction(db, 1);
+
+        transaction.query('test', { 'a': 'b' }, function(err) {
+            expect(err).to.not.be.ok();
+            expect(calls).to.have.length(1);
+            expect(calls[0].method).to.equal('query');
+            expect(calls[0].args).to.deep.equal([1, 'test', { 'a': 'b' }]);
+            expect(transaction.isOpen()).to.equal(true);
+            expect(transaction.expires.getTime()).to.equal(Date.parse(expiry));
+
+            done();
+        });
+    });
+
+    it('should pass the transaction ID to resetTimeout', function(done) {
+        var transaction = new Transaction(db, 1);
+
+        transaction.resetTimeout(function(err) {
+            expect(err).to.not.be.ok();
+            expect(calls[0].method).to.equal('resetTimeout');
+            expect(calls[0].args).to.deep.equal([1]);
+            expect(transaction.isOpen()).to.equal(true);
+
+            done();
+        });
+    });
+
+    it('should be committed after a commit', function(done) {
+        var transaction = new Transaction(db, 1);
+
+        transaction.commit('test', function(err) {
+            expect(err).to.not.be.ok();
+            expect(calls[0].method).to.equal('commit');
+            expect(calls[0].args).to.deep.equal([1, 'test']);
+            expect(transaction).to.have.property('state',
+                Transaction.COMMITTED);
+
+            done();
+        });
+    });
+
+    it('should be rolled back after a rollback', function(done) {
+        var transaction = new Transaction(db, 1);
+
+        transaction.rollback(function(err) {
+            expect(err).to.not.be.ok();
+            expect(calls[0].method).to.equal('rollback');
+            expect(calls[0].args).to.deep.equal([1]);
+            expect(transaction).to.have.property('state',
+                Transaction.ROLLED_BACK);
+
+            done();
+        });
+    });
+
+    it('should be rolled back if Neo4j returns an error', function(done) {
+        var transaction = new Transaction(db, 1);
+
+        errors = [{ 'code': 'Error code', 'message': 'Error message' }];
+
+        transaction.query('test', function(err) {
+            expect(err).to.be.ok();
+            expect(transaction).to.have.property('state',
+                Transaction.ROLLED_BACK);
+            expect(transaction.errors).to.equal(errors);
+
+            done();
+        });
+    });
+
+    it('should stay open if the request fails', function(done) {
+        var transaction = new Transaction(db, 1);
+
+        db.query = function() {
+            var callback = arguments[arguments.length - 1];
+            callback(new Error('Error'), [], { 'errors': [] });
+        };
+
+        transaction.query('test', function(err) {
+            expect(err).to.be.ok();
+            expect(transaction.isOpen()).to.equal(true);
+
+            done();
+        });
+    });
+
+    it('should be rolled back if a cancelled query was', function(done) {
+        var transaction = new Transaction(db, 1);
+
+        db.query = function() {
+            var callback = arguments[arguments.length - 1];
+            var err = new Error('Request cancelled');
+            err.rolledBack = true;
+            callback(err, [], { 'errors': [] });
+        };
+
+        transaction.query('test', function(err) {
+            expect(err).to.be.ok();
+            expect(transaction).to.have.property('state',
+                Transaction.ROLLED_BACK);
+
+            done();
+        });
+    });
+
+    it('should refuse to be used once closed', function(done) {
+        var transaction = new Transaction(db, 1);
+
+        transaction.commit(function() {
+            transaction.query('test', function(err, results, info) {
+                expect(err).to.be.an.instanceof(Error);
+                expect(err.message).to.match(/committed/);
+                expect(results).to.be.empty();
+                expect(info).to.have.property('transactionID', 1);
+                expect(calls).to.have.length(1);
+
+                done();
+            });
+        });
+    });
+
+    it('should return Promises if no callback is given', function() {
+        var transaction = new Transaction(db, 1);
+
+        return transaction.query('test').then(function(response) {
+            expect(response).to.have.property('results');
+            expect(response).to.have.property('info');
+
+            return transaction.rollback();
+        }).then(function() {
+            return transaction.commit();
+        }).then(function() {
+            throw new Error('Expected the Promise to be rejected');
+        }, function(err) {
+            expect(err.message).to.match(/rolled back/);
+        });
+    });
+
+    describe('when keeping itself alive', function() {
+        var timeout;
+
+        beforeEach(function(done) {
+            timeout = function() {
+                return new Date(Date.now() + 60);
+            };
+
+            db.resetTimeout = function(id, callback) {
+                var info = {
+                    'statements': [],
+                    'errors': errors,
+                    'transactionID': id,
+                    'timeout': timeout()
+                };
+
+                calls.push({ 'method': 'resetTimeout', 'args': [id] });
+
+                if (errors.length > 0) {
+                    return callback(new Error('Error'), [], info);
+                }
+
+                callback(null, [], info);
+            };
+
+            done();
+        });
+
+        it('should not keep alive by default', function(done) {
+            var transaction = new Transaction(db, 1, timeout());
+
+            setTimeout(function() {
+                expect(calls).to.be.empty();
+                expect(transaction.timer).to.be.undefined();
+                done();
+            }, 40);
+        });
+
+        it('should reset the timeout before it expires', function(done) {
+            var options = { 'keepAlive': { 'margin': 50 } };
+            var transaction = new Transaction(db, 1, timeout(), options);
+
+            setTimeout(function() {
+                expect(calls.length).to.be.at.least(2);
+                expect(transaction.isOpen()).to.equal(true);
+                transaction.rollback(done);
+            }, 45);
+        });
+
+        it('should stop once the transaction is closed', function(done) {
+            var options = { 'keepAlive': { 'margin': 50 } };
+            var transaction = new Transaction(db, 1, timeout(), options);
+
+            transaction.commit(function() {
+                var count = calls.length;
+
+                setTimeout(function() {
+                    expect(calls).to.have.length(count);
+                    expect(transaction.timer).to.be.undefined();
+                    done();
+                }, 40);
+            });
+        });
+
+        it('should emit an event when a keep-alive fails', function(done) {
+            var options = { 'keepAlive': { 'margin': 50 } };
+            var transaction = new Transaction(db, 1, timeout(), options);
+
+            errors = [{ 'code': 'Error code', 'message': 'Error message' }];
+
+            transaction.on('keepAliveError', function(err, info) {
+                expect(err).to.be.ok();
+                expect(info).to.have.property('transactionID', 1);
+                expect(transaction.isOpen()).to.equal(true);
+                expect(transaction.errors).to.be.empty();
+                transaction.removeAllListeners();
+                transaction.rollback(function() {
+                    done();
+                });
+            });
+        });
+
+        it('should not send a keep-alive while a call is running',
+            function(done) {
+                var options = { 'keepAlive': { 'margin': 50 } };
+                var transaction = new Transaction(db, 1, timeout(), options);
+                var finish;
+
+                db.query = function(id, statement, callback) {
+                    calls.push({ 'method': 'query', 'args': [id, statement] });
+                    finish = callback;
+                };
+
+                transaction.query('slow', function(err) {
+                    expect(err).to.not.be.ok();
+                    expect(transaction.isOpen()).to.equal(true);
+                    expect(transaction.timer).to.be.ok();
+                    transaction.rollback(done);
+                });
+
+                expect(transaction.pending).to.equal(1);
+                expect(transaction.timer).to.be.undefined();
+
+                setTimeout(function() {
+                    expect(calls).to.deep.equal([
+                        { 'method': 'query', 'args': [1, 'slow'] }
+                    ]);
+
+                    finish(null, [], {
+                        'statements': [],
+                        'errors': [],
+                        'transactionID': 1,
+                        'timeout': timeout()
+                    });
+                }, 80);
+            }
+        );
+
+        it('should hold calls until a running keep-alive returns',
+            function(done) {
+                var options = { 'keepAlive': { 'margin': 50 } };
+                var transaction = new Transaction(db, 1, timeout(), options);
+                var resetting = false;
+
+                db.resetTimeout = function(id, callback) {
+                    calls.push({ 'method': 'resetTimeout', 'args': [id] });
+                    resetting = true;
+
+                    transaction.query('test', function(err) {
+                        expect(err).to.not.be.ok();
+                        expect(calls).to.deep.equal([
+                            { 'method': 'resetTimeout', 'args': [1] },
+                            { 'method': 'query', 'args': [1, 'test'] }
+                        ]);
+                        expect(transaction.isOpen()).to.equal(true);
+                        expect(transaction.pending).to.equal(0);
+                        transaction.removeAllListeners();
+                        transaction.rollback(done);
+                    });
+
+                    expect(calls).to.have.length(1);
+                    expect(transaction.pending).to.equal(1);
+
+                    setTimeout(function() {
+                        resetting = false;
+                        callback(null, [], {
+                            'statements': [],
+                            'errors': [],
+                            'transactionID': id,
+                            'timeout': timeout()
+                        });
+                    }, 10);
+                };
+
+                db.query = function(id, statement, callback) {
+                    expect(resetting).to.equal(false);
+                    respond('query')(id, statement, callback);
+                };
+            }
+        );
+
+        it('should stay open if Neo4j refuses a concurrent request',
+            function(done) {
+                var transaction = new Transaction(db, 1, timeout());
+
+                errors = [{
+                    'code': 'Neo.ClientError.Transaction.ConcurrentRequest',
+                    'message': 'Concurrent request'
+                }];
+
+                transaction.query('test', function(err) {
+                    expect(err).to.be.ok();
+                    expect(transaction.isOpen()).to.equal(true);
+                    expect(transaction.errors).to.be.empty();
+                    done();
+                });
+            }
+        );
+
+        it('should not be closed by a keep-alive that fails during a commit',
+            function(done) {
+                var options = { 'keepAlive': { 'margin': 50 } };
+                var transaction = new Transaction(db, 1, timeout(), options);
+                var failed = false;
+
+                db.resetTimeout = function(id, callback) {
+                    transaction.commit(function(err) {
+                        expect(err).to.not.be.ok();
+                        expect(failed).to.equal(true);
+                        expect(transaction.state).to.equal(
+                            Transaction.COMMITTED);
+                        expect(transaction.errors).to.be.empty();
+                        expect(transaction.timer).to.be.undefined();
+                        done();
+                    });
+
+                    callback(new Error('Error'), [], {
+                        'errors': [{
+                            'code': 'Neo.ClientError.Transaction.' +
+                                'ConcurrentRequest',
+                            'message': 'Concurrent request'
+                        }]
+                    });
+                };
+
+                transaction.on('keepAliveError', function() {
+                    failed = true;
+                    expect(transaction.isOpen()).to.equal(true);
+                });
+            }
+        );
+
+        it('should try again if a keep-alive request fails', function(done) {
+            var options = { 'keepAlive': { 'margin': 50 } };
+            var transaction = new Transaction(db, 1, timeout(), options);
+            var failures = 0;
+
+            timeout = function() {};
+            db.resetTimeout = function(id, callback) {
+                callback(new Error('Error'), [], { 'errors': [] });
+            };
+
+            transaction.on('keepAliveError', function() {
+                failures++;
+
+                if (failures === 2) {
+                    expect(transaction.isOpen()).to.equal(true);
+                    transaction.removeAllListeners();
+                    done();
+                }
+            });
+        });
+    });
+});
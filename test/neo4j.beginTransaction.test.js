@@ -0,0 +1,79 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('The beginTransaction function', function() {
+    var db;
+    var errors = [];
+    var uri = 'http://localhost/db/data/transaction/7/commit';
+    var expiry = 'Mon, 16 Feb 2015 10:23:43 +0000';
+
+    before(function(done) {
+        db = new Neo4j('http://localhost:7474');
+        done();
+    });
+
+    beforeEach(function(done) {
+        errors = [];
+
+        Neo4j.__set__({
+            'request': {
+                'post': function(args, callback) {
+                    callback(null,
+                        {
+                            'body': {
+                                'commit': uri,
+                                'results': [],
+                                'errors': errors,
+                                'transaction': { 'expires': expiry }
+                            }
+                        }
+                    );
+                }
+            }
+        });
+
+        done();
+    });
+
+    it('should pass a transaction to the callback', function(done) {
+        db.beginTransaction(function(err, transaction) {
+            expect(err).to.not.be.ok();
+            expect(transaction).to.be.an.instanceof(Neo4j.Transaction);
+            expect(transaction).to.have.property('id', 7);
+            expect(transaction).to.have.property('state', 'open');
+            expect(transaction.expires.getTime()).to.equal(Date.parse(expiry));
+            expect(transaction.db).to.equal(db);
+
+            done();
+        });
+    });
+
+    it('should return a Promise if no callback is given', function() {
+        return db.beginTransaction().then(function(transaction) {
+            expect(transaction).to.have.property('id', 7);
+        });
+    });
+
+    it('should pass errors through', function(done) {
+        errors = [{ 'code': 'Error code', 'message': 'Error message' }];
+
+        db.beginTransaction(function(err, transaction) {
+            expect(err).to.be.ok();
+            expect(transaction).to.be.undefined();
+
+            done();
+        });
+    });
+
+    it('should reject the Promise on error', function() {
+        errors = [{ 'code': 'Error code', 'message': 'Error message' }];
+
+        return db.beginTransaction().then(function() {
+            throw new Error('Expected the Promise to be rejected');
+        }, function(err) {
+            expect(err.message).to.match(/Error code/);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+var expect = require('chai').expect;
+
+var Neo4j = require('../neo4j.js');
+var FakeServer = require('../lib/fake.js');
+
+describe('When writing in bulk', function() {
+    var server;
+    var db;
+    var rows = [{ 'name': 'Alice' }, { 'name': 'Bob' }, { 'name': 'Carol' }];
+
+    before(function(done) {
+        server = new FakeServer();
+        server.listen(function(err, uri) {
+            db = new Neo4j(uri);
+            done(err);
+        });
+    });
+
+    after(function(done) {
+        server.close(done);
+    });
+
+    beforeEach(function(done) {
+        server.reset();
+        server.respond(/FAIL/, {
+            'error': {
+                'code': 'Neo.ClientError.Statement.InvalidSyntax',
+                'message': 'Invalid input'
+            }
+        });
+
+        done();
+    });
+
+    function statements() {
+        return server.requests.map(function(request) {
+            return request.body.statements || [];
+        });
+    }
+
+    it('should autocommit each batch', function(done) {
+        db.bulk('CREATE (n:Person) SET n = row', rows, { 'batchSize': 2 },
+            function(err, summary) {
+                expect(err).to.not.be.ok();
+                expect(summary.completed).to.equal(3);
+                expect(server.requests.map(function(request) {
+                    return request.url;
+                })).to.deep.equal([
+                    '/db/data/transaction/commit',
+                    '/db/data/transaction/commit'
+                ]);
+                expect(statements()[1][0].parameters).to.deep.equal(
+                    { 'rows': [{ 'name': 'Carol' }] });
+
+                done();
+            }
+        );
+    });
+
+    it('should write every batch in one transaction', function(done) {
+        var options = { 'batchSize': 1, 'transaction': 'single' };
+
+        db.bulk('CREATE (n:Person) SET n = row', rows, options,
+            function(err, summary) {
+                expect(err).to.not.be.ok();
+                expect(summary.completed).to.equal(3);
+                expect(server.requests).to.have.length(5);
+                expect(server.requests[0].url).to.equal(
+                    '/db/data/transaction/');
+                expect(server.requests[4].url).to.match(
+                    /^\/db\/data\/transaction\/\d+\/commit$/);
+                expect(server.transactions).to.be.empty();
+
+                done();
+            }
+        );
+    });
+
+    it('should roll back a single transaction on failure', function(done) {
+        var options = { 'batchSize': 1, 'transaction': 'single' };
+
+        db.bulk('FAIL', rows, options, function(err, summary) {
+            expect(err).to.be.an.instanceof(Neo4j.ClientError);
+            expect(summary.completed).to.equal(0);
+            expect(summary.failures).to.have.length(1);
+            expect(server.transactions).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should return a Promise without a callback', function(done) {
+        db.bulk('CREATE (n:Person) SET n = row', rows).then(function(summary) {
+            expect(summary).to.have.property('batches', 1);
+            expect(statements()[0][0].statement).to.equal(
+                'UNWIND {rows} AS row\nCREATE (n:Person) SET n = row');
+
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,208 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('When cancelling calls', function() {
+    var db;
+    var posts;
+    var aborts;
+    var rollbacks;
+    var rollbackError;
+
+    before(function(done) {
+        db = new Neo4j('http://localhost:7474');
+        done();
+    });
+
+    beforeEach(function(done) {
+        posts = [];
+        aborts = 0;
+        rollbacks = [];
+        rollbackError = null;
+
+        Neo4j.__set__({
+            'request': {
+                'post': function(args, callback) {
+                    posts.push({ 'args': args, 'callback': callback });
+
+                    return {
+                        'abort': function() {
+                            aborts++;
+                        }
+                    };
+                },
+                'del': function(args, callback) {
+                    rollbacks.push(args.uri);
+
+                    if (rollbackError) {
+                        return callback(rollbackError);
+                    }
+
+                    callback(null,
+                        { 'statusCode': 200, 'body': { 'errors': [] } });
+                }
+            }
+        });
+
+        done();
+    });
+
+    it('should abort an autocommit query that times out', function(done) {
+        var timed = db.withOptions({ 'timeout': 5 });
+
+        timed.query('test', function(err, results, info) {
+            expect(err).to.be.an.instanceof(Neo4j.TimeoutError);
+            expect(err).to.have.property('rolledBack', false);
+            expect(results).to.be.empty();
+            expect(info.statements).to.have.length(1);
+            expect(aborts).to.equal(1);
+            expect(rollbacks).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should abort an autocommit query that is cancelled', function(done) {
+        var token = new Neo4j.CancelToken();
+
+        db.withOptions({ 'signal': token }).query('test', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.CancelledError);
+            expect(err).to.not.be.an.instanceof(Neo4j.TimeoutError);
+            expect(aborts).to.equal(1);
+
+            done();
+        });
+
+        token.cancel();
+    });
+
+    it('should not send anything if already cancelled', function(done) {
+        var token = new Neo4j.CancelToken();
+
+        token.cancel();
+
+        db.withOptions({ 'signal': token }).query('test', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.CancelledError);
+            expect(posts).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should roll back a transaction when a query is cancelled',
+        function(done) {
+            var token = new Neo4j.CancelToken();
+
+            db.withOptions({ 'signal': token }).query(3, 'test', function(err) {
+                expect(err).to.be.an.instanceof(Neo4j.CancelledError);
+                expect(err).to.have.property('rolledBack', true);
+                expect(err).to.have.property('transactionID', 3);
+                expect(err.message).to.equal(
+                    'Request cancelled, transaction 3 rolled back');
+                expect(rollbacks).to.deep.equal(
+                    ['http://localhost:7474/db/data/transaction/3']);
+
+                done();
+            });
+
+            token.cancel();
+        }
+    );
+
+    it('should roll back a transaction when a commit times out',
+        function(done) {
+            db.withOptions({ 'timeout': 5 }).commit(3, function(err) {
+                expect(err).to.be.an.instanceof(Neo4j.TimeoutError);
+                expect(err).to.have.property('rolledBack', true);
+                expect(rollbacks).to.have.length(1);
+
+                done();
+            });
+        }
+    );
+
+    it('should report a failed rollback', function(done) {
+        rollbackError = new Error('socket hang up');
+
+        db.withOptions({ 'timeout': 5 }).query(3, 'test', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.TimeoutError);
+            expect(err).to.have.property('rolledBack', false);
+            expect(err).to.have.property('transactionID', 3);
+            expect(err.message).to.equal('Request timed out after 5ms');
+
+            done();
+        });
+    });
+
+    it('should ignore a response after cancelling', function(done) {
+        var token = new Neo4j.CancelToken();
+        var calls = 0;
+
+        db.withOptions({ 'signal': token }).query('test', function() {
+            calls++;
+        });
+
+        token.cancel();
+        posts[0].callback(null,
+            { 'statusCode': 200, 'body': { 'results': [], 'errors': [] } });
+
+        setImmediate(function() {
+            expect(calls).to.equal(1);
+
+            done();
+        });
+    });
+
+    it('should stop watching once the call completes', function(done) {
+        var token = new Neo4j.CancelToken();
+
+        db.withOptions({ 'signal': token, 'timeout': 5 }).query('test',
+            function(err) {
+                expect(err).to.not.be.ok();
+                expect(token.listeners('abort')).to.be.empty();
+
+                token.cancel();
+                setTimeout(function() {
+                    expect(aborts).to.equal(0);
+
+                    done();
+                }, 10);
+            }
+        );
+
+        posts[0].callback(null,
+            { 'statusCode': 200, 'body': { 'results': [], 'errors': [] } });
+    });
+
+    it('should cancel retries', function(done) {
+        var token = new Neo4j.CancelToken();
+        var options = { 'signal': token, 'retry': { 'delay': 1000 } };
+
+        db.withOptions(options).query('test', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.CancelledError);
+            expect(posts).to.have.length(1);
+
+            done();
+        });
+
+        posts[0].callback(new Error('socket hang up'));
+        token.cancel();
+    });
+
+    it('should roll back a transaction object', function(done) {
+        var token = new Neo4j.CancelToken();
+        var transaction = new Neo4j.Transaction(
+            db.withOptions({ 'signal': token }), 3);
+
+        transaction.query('test', function(err) {
+            expect(err).to.have.property('rolledBack', true);
+            expect(transaction).to.have.property('state',
+                Neo4j.Transaction.ROLLED_BACK);
+
+            done();
+        });
+
+        token.cancel();
+    });
+});
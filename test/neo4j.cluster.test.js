@@ -0,0 +1,181 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('When talking to a cluster', function() {
+    var db;
+    var roles;
+    var down;
+    var requests;
+
+    var refuse = function(callback) {
+        var err = new Error('connect ECONNREFUSED');
+        err.code = 'ECONNREFUSED';
+        callback(err);
+    };
+
+    var respond = function(method) {
+        return function(args, callback) {
+            var server = args.uri.match(/^http:\/\/[^\/]+\//)[0];
+            var id = args.uri.match(/transaction\/(\d+)/);
+
+            requests.push(method + ' ' + args.uri);
+
+            if (down.indexOf(server) !== -1) {
+                return refuse(callback);
+            }
+
+            var body = {
+                'results': [],
+                'errors': []
+            };
+
+            if (method === 'post' && !id) {
+                body.commit = server + 'db/data/transaction/7/commit';
+            }
+
+            callback(null, { 'statusCode': 200, 'body': body });
+        };
+    };
+
+    beforeEach(function(done) {
+        roles = {
+            'http://a:7474/': 'master',
+            'http://b:7474/': 'slave'
+        };
+        down = [];
+        requests = [];
+
+        Neo4j.__set__({
+            'request': {
+                'get': function(args, callback) {
+                    var server = args.uri.replace(
+                        'db/manage/server/ha/available', '');
+
+                    if (down.indexOf(server) !== -1) {
+                        return refuse(callback);
+                    }
+
+                    callback(null,
+                        { 'statusCode': 200, 'body': roles[server] });
+                },
+                'post': respond('post'),
+                'del': respond('del')
+            }
+        });
+
+        db = new Neo4j(['http://neo4j:secret@a:7474', 'http://b:7474/']);
+
+        done();
+    });
+
+    it('should take credentials from the URIs', function(done) {
+        expect(db.server).to.equal('http://a:7474/');
+        expect(db.auth).to.deep.equal({ 'user': 'neo4j', 'pass': 'secret' });
+        expect(db.cluster.servers).to.have.length(2);
+        expect(db.cluster.servers[1].uri).to.equal('http://b:7474/');
+
+        done();
+    });
+
+    it('should send writes to the master', function(done) {
+        db.query('test', function(err) {
+            expect(err).to.not.be.ok();
+            expect(requests).to.deep.equal(
+                ['post http://a:7474/db/data/transaction/commit']);
+
+            done();
+        });
+    });
+
+    it('should send reads to a slave', function(done) {
+        db.withOptions({ 'access': 'read' }).query('test', function(err) {
+            expect(err).to.not.be.ok();
+            expect(requests).to.deep.equal(
+                ['post http://b:7474/db/data/transaction/commit']);
+
+            done();
+        });
+    });
+
+    it('should keep a transaction on the server that began it',
+        function(done) {
+            db.begin('test', function(err, results, info) {
+                expect(info.transactionID).to.equal(7);
+                expect(db.cluster.pinned(7)).to.equal('http://a:7474/');
+
+                roles = {
+                    'http://a:7474/': 'slave',
+                    'http://b:7474/': 'master'
+                };
+                db.cluster.invalidate();
+
+                db.commit(7, function(err) {
+                    expect(err).to.not.be.ok();
+                    expect(requests[1]).to.equal(
+                        'post http://a:7474/db/data/transaction/7/commit');
+                    expect(db.cluster.pinned(7)).to.be.undefined();
+
+                    done();
+                });
+            });
+        }
+    );
+
+    it('should unpin a transaction that is rolled back', function(done) {
+        db.begin('test', function() {
+            db.rollback(7, function(err) {
+                expect(err).to.not.be.ok();
+                expect(requests[1]).to.equal(
+                    'del http://a:7474/db/data/transaction/7');
+                expect(db.cluster.pinned(7)).to.be.undefined();
+
+                done();
+            });
+        });
+    });
+
+    it('should fail over to a new master', function(done) {
+        db.query('test', function() {
+            down = ['http://a:7474/'];
+            roles = { 'http://b:7474/': 'master' };
+
+            db.query('test', function(err) {
+                expect(err).to.not.be.ok();
+                expect(requests).to.deep.equal([
+                    'post http://a:7474/db/data/transaction/commit',
+                    'post http://a:7474/db/data/transaction/commit',
+                    'post http://b:7474/db/data/transaction/commit'
+                ]);
+
+                done();
+            });
+        });
+    });
+
+    it('should not fail over an open transaction', function(done) {
+        db.begin('test', function() {
+            down = ['http://a:7474/'];
+            roles = { 'http://b:7474/': 'master' };
+
+            db.query(7, 'test', function(err) {
+                expect(err).to.be.an.instanceof(Neo4j.NetworkError);
+                expect(requests).to.have.length(2);
+
+                done();
+            });
+        });
+    });
+
+    it('should fail if no server is available', function(done) {
+        down = ['http://a:7474/', 'http://b:7474/'];
+
+        db.query('test', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.UnavailableError);
+            expect(requests).to.be.empty();
+
+            done();
+        });
+    });
+});
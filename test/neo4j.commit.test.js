@@ -173,6 +173,35 @@ describe('The commit function', function() {
         });
     });
 
+    it('should report the transaction ID of a rolled back commit',
+        function(done) {
+            var mock = {
+                'post': function(args, callback) {
+                    callback(null, {
+                        'body': {
+                            'results': [],
+                            'errors': [{
+                                'code': 'Neo.ClientError.Statement.' +
+                                    'InvalidSyntax',
+                                'message': 'Invalid input'
+                            }]
+                        }
+                    });
+                }
+            };
+
+            Neo4j.__set__('request', mock);
+
+            db.commit(7, 'BAD', function(err, results, info) {
+                expect(err).to.be.an.instanceof(Neo4j.ClientError);
+                expect(err).to.have.property('transactionID', 7);
+                expect(info).to.have.property('transactionID', 7);
+
+                done();
+            });
+        }
+    );
+
     it('should pass errors from the request through', function(done) {
         var mock = {
             'post': function(args, callback) {
@@ -194,7 +223,7 @@ describe('The commit function', function() {
             expect(results).to.be.an('array');
             expect(results).to.be.empty();
 
-            expect(info).to.not.have.property('transactionID');
+            expect(info).to.have.property('transactionID', 1);
             expect(info).to.not.have.property('timeout');
 
             done();
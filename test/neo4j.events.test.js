@@ -0,0 +1,212 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+var EventEmitter = require('events').EventEmitter;
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('When observing requests', function() {
+    var db;
+    var events;
+    var failures;
+    var body;
+
+    var record = function(name) {
+        return function(event) {
+            events.push({ 'name': name, 'event': event });
+        };
+    };
+
+    beforeEach(function(done) {
+        events = [];
+        failures = 0;
+        body = {
+            'results': [
+                { 'columns': ['a'], 'data': [{ 'row': [1] }, { 'row': [2] }] },
+                { 'columns': ['b'], 'data': [] }
+            ],
+            'errors': []
+        };
+
+        Neo4j.__set__({
+            'request': {
+                'post': function(args, callback) {
+                    if (failures > 0) {
+                        failures--;
+                        return callback(new Error('socket hang up'));
+                    }
+
+                    callback(null, { 'statusCode': 200, 'body': body });
+                },
+                'del': function(args, callback) {
+                    callback(null,
+                        { 'statusCode': 200, 'body': { 'errors': [] } });
+                }
+            }
+        });
+
+        db = new Neo4j('http://localhost:7474');
+        db.on('request', record('request'));
+        db.on('response', record('response'));
+        db.on('requestError', record('requestError'));
+
+        done();
+    });
+
+    it('should be an event emitter', function(done) {
+        expect(db).to.be.an.instanceof(EventEmitter);
+
+        done();
+    });
+
+    it('should emit events around a query', function(done) {
+        db.query('test', { 'a': 'b' }, function(err) {
+            expect(err).to.not.be.ok();
+            expect(events).to.have.length(2);
+            expect(events[0].name).to.equal('request');
+            expect(events[1].name).to.equal('response');
+
+            var event = events[1].event;
+
+            expect(event).to.have.property('method', 'POST');
+            expect(event).to.have.property('endpoint',
+                'http://localhost:7474/db/data/transaction/commit');
+            expect(event.statements[0]).to.have.property('statement', 'test');
+            expect(event.statements[0].parameters).to.deep.equal(
+                { 'a': 'b' });
+            expect(event.transactionID).to.be.undefined();
+            expect(event).to.have.property('attempt', 1);
+            expect(event).to.have.property('statusCode', 200);
+            expect(event.duration).to.be.a('number');
+            expect(event.rows).to.deep.equal([2, 0]);
+            expect(event).to.not.have.property('error');
+
+            done();
+        });
+    });
+
+    it('should include the transaction ID', function(done) {
+        body.commit = 'http://localhost:7474/db/data/transaction/4/commit';
+
+        db.begin('test', function(err) {
+            expect(err).to.not.be.ok();
+            expect(events[1].event).to.have.property('transactionID', 4);
+
+            db.rollback(4, function() {
+                expect(events[2].event).to.have.property('method', 'DELETE');
+                expect(events[2].event).to.have.property('transactionID', 4);
+
+                done();
+            });
+        });
+    });
+
+    it('should include statistics', function(done) {
+        body.results[0].stats = { 'nodes_created': 1 };
+
+        db.withOptions({ 'includeStats': true }).query('test', function() {
+            expect(events[1].event.stats[0]).to.have.property(
+                'nodes_created', 1);
+
+            done();
+        });
+    });
+
+    it('should emit errors returned by Neo4j', function(done) {
+        body.errors = [{
+            'code': 'Neo.ClientError.Statement.InvalidSyntax',
+            'message': 'Invalid syntax'
+        }];
+
+        db.query('test', function(err) {
+            expect(events[1].name).to.equal('requestError');
+            expect(events[1].event).to.have.property('error', err);
+            expect(events[1].event).to.have.property('statusCode', 200);
+            expect(events[1].event.rows).to.deep.equal([2, 0]);
+
+            done();
+        });
+    });
+
+    it('should emit events for each attempt', function(done) {
+        failures = 1;
+
+        db.withOptions({ 'retry': { 'delay': 1 } }).query('test', function() {
+            expect(events.map(function(item) {
+                return item.name + ' ' + item.event.attempt;
+            })).to.deep.equal([
+                'request 1',
+                'requestError 1',
+                'request 2',
+                'response 2'
+            ]);
+            expect(events[1].event.error).to.be.an.instanceof(
+                Neo4j.NetworkError);
+            expect(events[1].event.statusCode).to.be.undefined();
+
+            done();
+        });
+    });
+
+    it('should emit an error when a request is cancelled', function(done) {
+        Neo4j.__set__({ 'request': { 'post': function() {} } });
+
+        db.withOptions({ 'timeout': 5 }).query('test', function(err) {
+            expect(events).to.have.length(2);
+            expect(events[1].name).to.equal('requestError');
+            expect(events[1].event).to.have.property('error', err);
+            expect(events[1].event.rows).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should report slow queries', function(done) {
+        var reports = [];
+        var options = {
+            'slowQuery': {
+                'threshold': 5,
+                'log': function(report) {
+                    reports.push(report);
+                }
+            }
+        };
+
+        Neo4j.__set__({
+            'request': {
+                'post': function(args, callback) {
+                    var respond = function() {
+                        callback(null, { 'statusCode': 200, 'body': body });
+                    };
+
+                    if (args.json.statements[0].statement === 'slow') {
+                        return setTimeout(respond, 20);
+                    }
+
+                    respond();
+                }
+            }
+        });
+
+        var slow = db.withOptions(options);
+
+        slow.query('fast', function() {
+            slow.query('slow', { 'a': 'b' }, function() {
+                expect(reports).to.have.length(1);
+                expect(reports[0].duration).to.be.above(5);
+                expect(reports[0].statements).to.deep.equal(
+                    [{ 'statement': 'slow', 'parameters': { 'a': '<string>' } }]
+                );
+
+                done();
+            });
+        });
+    });
+
+    it('should share listeners with derived objects', function(done) {
+        db.withOptions({ 'includeStats': true }).query('test', function() {
+            expect(events).to.have.length(2);
+
+            done();
+        });
+    });
+});
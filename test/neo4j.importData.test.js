@@ -0,0 +1,86 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var Neo4j = require('../neo4j.js');
+var FakeServer = require('../lib/fake.js');
+
+describe('When importing data', function() {
+    var server;
+    var db;
+    var file = path.join(os.tmpdir(), 'rainbird-neo4j-import-' +
+        process.pid + '.csv');
+    var mapping = {
+        'nodes': [{
+            'label': 'Person',
+            'key': 'name',
+            'properties': { 'name': 'name' }
+        }, {
+            'label': 'Company',
+            'key': 'name',
+            'properties': { 'name': 'employer' }
+        }],
+        'relationships': [{
+            'type': 'WORKS_AT',
+            'from': { 'label': 'Person', 'key': 'name', 'column': 'name' },
+            'to': { 'label': 'Company', 'key': 'name', 'column': 'employer' }
+        }]
+    };
+
+    before(function(done) {
+        fs.writeFileSync(file, 'name,employer\nAlice,Acme\nBob,\nCarol,Acme\n');
+
+        server = new FakeServer();
+        server.listen(function(err, uri) {
+            db = new Neo4j(uri);
+            done(err);
+        });
+    });
+
+    after(function(done) {
+        fs.unlinkSync(file);
+        server.close(done);
+    });
+
+    beforeEach(function(done) {
+        server.reset();
+        done();
+    });
+
+    it('should import a CSV file', function(done) {
+        db.importData(file, mapping, { 'batchSize': 2 },
+            function(err, summary) {
+                expect(err).to.not.be.ok();
+                expect(summary).to.deep.equal({
+                    'records': 3,
+                    'written': { 'Person': 3, 'Company': 2, 'WORKS_AT': 2 },
+                    'failures': []
+                });
+                expect(server.requests).to.have.length(4);
+                expect(server.requests[3].body.statements[0].parameters)
+                    .to.deep.equal({
+                        'rows': [{
+                            'from': 'Alice',
+                            'to': 'Acme',
+                            'properties': {}
+                        }, {
+                            'from': 'Carol',
+                            'to': 'Acme',
+                            'properties': {}
+                        }]
+                    });
+
+                done();
+            }
+        );
+    });
+
+    it('should return a Promise without a callback', function(done) {
+        db.importData(file, mapping).then(function(summary) {
+            expect(summary.records).to.equal(3);
+
+            done();
+        }).catch(done);
+    });
+});
@@ -0,0 +1,133 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('When called without a callback', function() {
+    var db;
+    var errors = [];
+    var uri = 'http://localhost/db/data/transaction/1/commit';
+
+    before(function(done) {
+        db = new Neo4j('http://localhost:7474');
+        done();
+    });
+
+    beforeEach(function(done) {
+        errors = [];
+
+        var respond = function(args, callback) {
+            callback(null,
+                {
+                    'body': {
+                        'commit': uri,
+                        'results': args,
+                        'errors': errors
+                    }
+                }
+            );
+        };
+
+        Neo4j.__set__({
+            'request': { 'post': respond, 'del': respond },
+            'mapResults': function(results) { return results; }
+        });
+
+        done();
+    });
+
+    it('query should return a Promise', function() {
+        var promise = db.query('test', { 'param': 'value' });
+
+        expect(promise).to.be.an.instanceof(Promise);
+
+        return promise.then(function(response) {
+            expect(response).to.have.property('results');
+            expect(response).to.have.property('info');
+
+            var json = response.results.json;
+
+            expect(json.statements).to.have.length(1);
+            expect(json.statements[0]).to.have.property('statement', 'test');
+            expect(json.statements[0].parameters).to.have.property('param',
+                'value');
+
+            expect(response.info).to.have.property('transactionID', 1);
+        });
+    });
+
+    it('begin should return a Promise', function() {
+        return db.begin('test').then(function(response) {
+            expect(response.results).to.have.property('uri',
+                'http://localhost:7474/db/data/transaction/');
+            expect(response.info).to.have.property('transactionID', 1);
+        });
+    });
+
+    it('commit should return a Promise', function() {
+        return db.commit(1).then(function(response) {
+            expect(response.results).to.have.property('uri',
+                'http://localhost:7474/db/data/transaction/1/commit');
+        });
+    });
+
+    it('rollback should return a Promise', function() {
+        return db.rollback(1).then(function(response) {
+            expect(response.info).to.have.property('transactionID', 1);
+        });
+    });
+
+    it('resetTimeout should return a Promise', function() {
+        return db.resetTimeout(1).then(function(response) {
+            expect(response.results.json.statements).to.be.empty();
+        });
+    });
+
+    it('should reject with errors from Neo4j', function() {
+        errors = [{ 'code': 'Error code 1', 'message': 'Error message 1' }];
+
+        return db.query('test').then(function() {
+            throw new Error('Expected the Promise to be rejected');
+        }, function(err) {
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.message).to.match(/Error code 1/);
+            expect(err).to.have.property('info');
+            expect(err.info.errors).to.have.length(1);
+        });
+    });
+
+    it('should reject with errors from the parser', function() {
+        return db.query('${error}').then(function() {
+            throw new Error('Expected the Promise to be rejected');
+        }, function(err) {
+            expect(err.message).to.match(/unmatched parameter/);
+        });
+    });
+
+    it('bulk should resolve to the summary', function() {
+        return db.bulk('CREATE (n)', [{}]).then(function(summary) {
+            expect(summary).to.have.property('rows', 1);
+            expect(summary.failures).to.be.empty();
+        });
+    });
+
+    it('bulk should reject with the error alone', function() {
+        errors = [{ 'code': 'Error code 1', 'message': 'Error message 1' }];
+
+        return db.bulk('CREATE (n)', [{}]).then(function() {
+            throw new Error('Expected the Promise to be rejected');
+        }, function(err) {
+            expect(err.message).to.match(/Error code 1/);
+            expect(err).to.have.property('summary');
+            expect(err).to.not.have.property('info');
+        });
+    });
+
+    it('should not return a Promise if given a callback', function(done) {
+        var result = db.query('test', function(err) {
+            expect(err).to.not.be.ok();
+            expect(result).to.be.undefined();
+            done();
+        });
+    });
+});
@@ -232,5 +232,182 @@ describe('The query function', function() {
                 done();
             });
         });
+
+        it('should report the transaction ID of a rolled back query',
+            function(done) {
+                Neo4j.__set__('request', {
+                    'post': function(args, callback) {
+                        callback(null, {
+                            'body': {
+                                'results': [],
+                                'errors': [{
+                                    'code': 'Neo.ClientError.Statement.' +
+                                        'InvalidSyntax',
+                                    'message': 'Invalid input'
+                                }]
+                            }
+                        });
+                    }
+                });
+
+                db.query(5, 'BAD', function(err, results, info) {
+                    expect(err).to.be.an.instanceof(Neo4j.ClientError);
+                    expect(err).to.have.property('transactionID', 5);
+                    expect(info).to.have.property('transactionID', 5);
+
+                    done();
+                });
+            }
+        );
+    });
+
+    describe('when authenticating', function() {
+        var db;
+
+        before(function(done) {
+            db = new Neo4j('http://localhost:7474',
+                { 'username': 'neo4j', 'password': 'secret' });
+            done();
+        });
+
+        beforeEach(function(done) {
+            Neo4j.__set__({
+                'request': {
+                    'post': function(args, callback) {
+                        callback(null, { 'body': { 'results': args } });
+                    }
+                },
+                'mapResults': function(results) { return results; }
+            });
+
+            done();
+        });
+
+        it('should send the credentials', function(done) {
+            db.query('test', function(err, results) {
+                expect(err).to.not.be.ok();
+                expect(results).to.have.property('auth');
+                expect(results.auth).to.have.property('user', 'neo4j');
+                expect(results.auth).to.have.property('pass', 'secret');
+
+                done();
+            });
+        });
+
+        it('should send the credentials when resetting timeouts', function(done) {
+            db.resetTimeout(1, function(err, results) {
+                expect(err).to.not.be.ok();
+                expect(results).to.have.property('uri',
+                    'http://localhost:7474/db/data/transaction/1');
+                expect(results).to.have.property('auth');
+
+                done();
+            });
+        });
+    });
+
+    describe('when requesting result data contents', function() {
+        var db;
+
+        before(function(done) {
+            db = new Neo4j('http://localhost:7474',
+                { 'resultDataContents': ['row', 'graph'] });
+            done();
+        });
+
+        beforeEach(function(done) {
+            Neo4j.__set__({
+                'request': {
+                    'post': function(args, callback) {
+                        callback(null, { 'body': { 'results': args } });
+                    }
+                },
+                'mapResults': function(results) { return results; }
+            });
+
+            done();
+        });
+
+        it('should apply the constructor options', function(done) {
+            db.query('test', function(err, results, info) {
+                expect(err).to.not.be.ok();
+
+                var statement = results.json.statements[0];
+
+                expect(statement).to.have.property('statement', 'test');
+                expect(statement.resultDataContents).to.deep.equal(
+                    ['row', 'graph']);
+                expect(info.statements).to.equal(results.json.statements);
+
+                done();
+            });
+        });
+
+        it('should apply options given to withOptions', function(done) {
+            var rest = db.withOptions({ 'resultDataContents': ['rest'] });
+
+            rest.query('test', function(err, results) {
+                expect(err).to.not.be.ok();
+                expect(results.json.statements[0].resultDataContents)
+                    .to.deep.equal(['rest']);
+                expect(db.options.resultDataContents).to.deep.equal(
+                    ['row', 'graph']);
+
+                done();
+            });
+        });
+
+        it('should request statistics', function(done) {
+            var stats = db.withOptions({ 'includeStats': true });
+            var statements = [
+                { 'statement': 'test1', 'includeStats': false },
+                { 'statement': 'test2' }
+            ];
+
+            stats.query(statements, function(err, results) {
+                expect(err).to.not.be.ok();
+
+                var json = results.json;
+
+                expect(json.statements[0]).to.have.property('includeStats',
+                    false);
+                expect(json.statements[1]).to.have.property('includeStats',
+                    true);
+
+                done();
+            });
+        });
+
+        it('should not request statistics by default', function(done) {
+            db.query('test', function(err, results) {
+                expect(err).to.not.be.ok();
+                expect(results.json.statements[0]).to.not.have.property(
+                    'includeStats');
+
+                done();
+            });
+        });
+
+        it('should prefer the options on a statement', function(done) {
+            var statements = [
+                { 'statement': 'test1', 'resultDataContents': ['rest'] },
+                { 'statement': 'test2' }
+            ];
+
+            db.query(statements, function(err, results) {
+                expect(err).to.not.be.ok();
+
+                var json = results.json;
+
+                expect(json.statements[0].resultDataContents).to.deep.equal(
+                    ['rest']);
+                expect(json.statements[1].resultDataContents).to.deep.equal(
+                    ['row', 'graph']);
+                expect(statements[1]).to.not.have.property(
+                    'resultDataContents');
+
+                done();
+            });
+        });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,132 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('When running in read only mode', function() {
+    var db;
+    var requests;
+    var uri = 'http://localhost/db/data/transaction/1/commit';
+
+    before(function(done) {
+        db = new Neo4j('http://localhost:7474');
+        done();
+    });
+
+    beforeEach(function(done) {
+        requests = [];
+
+        Neo4j.__set__({
+            'request': {
+                'post': function(args, callback) {
+                    requests.push(args);
+                    callback(null,
+                        {
+                            'statusCode': 200,
+                            'body': {
+                                'commit': uri,
+                                'results': [],
+                                'errors': []
+                            }
+                        }
+                    );
+                }
+            }
+        });
+
+        done();
+    });
+
+    it('should run reads with read', function(done) {
+        db.read('MATCH (n) RETURN n', function(err, results, info) {
+            expect(err).to.not.be.ok();
+            expect(requests).to.have.length(1);
+            expect(info.errors).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should refuse writes with read', function(done) {
+        db.read('MATCH (n) SET n.seen = true', function(err, results, info) {
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.message).to.match(/write clause SET in statement 0/);
+            expect(results).to.be.empty();
+            expect(info.statements).to.have.length(1);
+            expect(requests).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should refuse writes after substitutions', function(done) {
+        db.read('MATCH (n) ${clause} n', { 'clause': 'DELETE' }, {},
+            function(err) {
+                expect(err.message).to.match(/write clause DELETE/);
+                expect(requests).to.be.empty();
+
+                done();
+            }
+        );
+    });
+
+    it('should return a Promise from read', function(done) {
+        db.read('CREATE (n)').catch(function(err) {
+            expect(err.message).to.match(/write clause CREATE/);
+            expect(err.info.statements).to.have.length(1);
+
+            done();
+        });
+    });
+
+    it('should not change the original object', function(done) {
+        db.read('MATCH (n) RETURN n', function() {
+            expect(db.options).to.not.have.property('readOnly');
+
+            db.query('CREATE (n)', function(err) {
+                expect(err).to.not.be.ok();
+                expect(requests).to.have.length(2);
+
+                done();
+            });
+        });
+    });
+
+    it('should refuse writes in transactions', function(done) {
+        var reader = db.withOptions({ 'readOnly': true });
+
+        reader.begin('MATCH (n) RETURN n', function(err) {
+            expect(err).to.not.be.ok();
+
+            reader.commit(1, 'MERGE (n:Person)', function(err) {
+                expect(err.message).to.match(/write clause MERGE/);
+                expect(requests).to.have.length(1);
+
+                done();
+            });
+        });
+    });
+
+    it('should allow empty queries', function(done) {
+        var reader = db.withOptions({ 'readOnly': true });
+
+        reader.resetTimeout(1, function(err) {
+            expect(err).to.not.be.ok();
+            expect(requests).to.have.length(1);
+
+            done();
+        });
+    });
+
+    it('should refuse writes when streaming', function(done) {
+        var reader = db.withOptions({ 'readOnly': true });
+
+        reader.stream('CREATE (n)').on('error', function(err) {
+            expect(err.message).to.match(/write clause CREATE/);
+            expect(err.info.statements).to.have.length(1);
+            expect(requests).to.be.empty();
+
+            done();
+        });
+    });
+});
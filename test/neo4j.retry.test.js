@@ -0,0 +1,109 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('When retrying requests', function() {
+    var db;
+    var attempts;
+    var failures;
+    var uri = 'http://localhost/db/data/transaction/1/commit';
+
+    before(function(done) {
+        db = new Neo4j('http://localhost:7474',
+            { 'retry': { 'delay': 1, 'maxAttempts': 3 } });
+        done();
+    });
+
+    beforeEach(function(done) {
+        attempts = 0;
+        failures = 1;
+
+        Neo4j.__set__({
+            'request': {
+                'post': function(args, callback) {
+                    attempts++;
+
+                    if (attempts <= failures) {
+                        var err = new Error('socket hang up');
+                        err.code = 'ECONNRESET';
+                        return callback(err);
+                    }
+
+                    callback(null,
+                        {
+                            'statusCode': 200,
+                            'body': {
+                                'commit': uri,
+                                'results': [],
+                                'errors': []
+                            }
+                        }
+                    );
+                }
+            }
+        });
+
+        done();
+    });
+
+    it('should retry autocommit queries', function(done) {
+        db.query('test', function(err, results, info) {
+            expect(err).to.not.be.ok();
+            expect(attempts).to.equal(2);
+            expect(info.errors).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should retry begin', function(done) {
+        db.begin('test', function(err) {
+            expect(err).to.not.be.ok();
+            expect(attempts).to.equal(2);
+
+            done();
+        });
+    });
+
+    it('should give up after the maximum attempts', function(done) {
+        failures = 5;
+
+        db.query('test', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.NetworkError);
+            expect(err).to.have.property('code', 'ECONNRESET');
+            expect(attempts).to.equal(3);
+
+            done();
+        });
+    });
+
+    it('should not retry queries in an open transaction', function(done) {
+        db.query(1, 'test', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.NetworkError);
+            expect(attempts).to.equal(1);
+
+            done();
+        });
+    });
+
+    it('should not retry commits', function(done) {
+        db.commit(1, 'test', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.NetworkError);
+            expect(attempts).to.equal(1);
+
+            done();
+        });
+    });
+
+    it('should not retry without a policy', function(done) {
+        var plain = new Neo4j('http://localhost:7474');
+
+        plain.query('test', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.NetworkError);
+            expect(attempts).to.equal(1);
+
+            done();
+        });
+    });
+});
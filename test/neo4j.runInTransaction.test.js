@@ -0,0 +1,212 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('The runInTransaction function', function() {
+    var db;
+    var calls;
+    var failures;
+    var transactionID;
+    var base = 'http://localhost:7474/db/data/transaction/';
+    var deadlock = {
+        'code': 'Neo.TransientError.Transaction.DeadlockDetected',
+        'message': 'Deadlock'
+    };
+    var syntax = {
+        'code': 'Neo.ClientError.Statement.InvalidSyntax',
+        'message': 'Invalid syntax'
+    };
+
+    // Record each call made to Neo4j, responding with any errors scripted in
+    // `failures` for that type of call.
+
+    function respond(type, callback) {
+        var errors = failures[type] ? failures[type].shift() || [] : [];
+        calls.push(type);
+
+        callback(null,
+            {
+                'body': {
+                    'commit': base + transactionID + '/commit',
+                    'results': [],
+                    'errors': errors
+                }
+            }
+        );
+    }
+
+    before(function(done) {
+        db = new Neo4j('http://localhost:7474');
+        done();
+    });
+
+    beforeEach(function(done) {
+        calls = [];
+        failures = {};
+        transactionID = 0;
+
+        Neo4j.__set__({
+            'request': {
+                'post': function(args, callback) {
+                    if (args.uri === base) {
+                        transactionID++;
+                        return respond('begin', callback);
+                    }
+
+                    if (/\/commit$/.test(args.uri)) {
+                        return respond('commit', callback);
+                    }
+
+                    respond('query', callback);
+                },
+                'del': function(args, callback) {
+                    respond('rollback', callback);
+                }
+            }
+        });
+
+        done();
+    });
+
+    it('should commit after a successful callback', function(done) {
+        db.runInTransaction(function(transaction, callback) {
+            transaction.query('test', function(err) {
+                callback(err, 'result');
+            });
+        }, function(err, result) {
+            expect(err).to.not.be.ok();
+            expect(result).to.equal('result');
+            expect(calls).to.deep.equal(['begin', 'query', 'commit']);
+
+            done();
+        });
+    });
+
+    it('should commit after a resolved Promise', function() {
+        return db.runInTransaction(function(transaction) {
+            return transaction.query('test').then(function() {
+                return 'result';
+            });
+        }).then(function(result) {
+            expect(result).to.equal('result');
+            expect(calls).to.deep.equal(['begin', 'query', 'commit']);
+        });
+    });
+
+    it('should not commit twice if work commits', function(done) {
+        db.runInTransaction(function(transaction, callback) {
+            transaction.commit(callback);
+        }, function(err) {
+            expect(err).to.not.be.ok();
+            expect(calls).to.deep.equal(['begin', 'commit']);
+
+            done();
+        });
+    });
+
+    it('should rollback if work fails', function(done) {
+        db.runInTransaction(function(transaction, callback) {
+            callback(new Error('Failed'));
+        }, function(err) {
+            expect(err).to.have.property('message', 'Failed');
+            expect(calls).to.deep.equal(['begin', 'rollback']);
+
+            done();
+        });
+    });
+
+    it('should rollback if work throws', function() {
+        return db.runInTransaction(function() {
+            throw new Error('Thrown');
+        }).then(function() {
+            throw new Error('Expected the Promise to be rejected');
+        }, function(err) {
+            expect(err).to.have.property('message', 'Thrown');
+            expect(calls).to.deep.equal(['begin', 'rollback']);
+        });
+    });
+
+    it('should not retry client errors', function(done) {
+        failures.query = [[syntax]];
+
+        db.runInTransaction(function(transaction, callback) {
+            transaction.query('test', callback);
+        }, { 'delay': 0 }, function(err) {
+            expect(err).to.be.ok();
+            expect(calls).to.deep.equal(['begin', 'query']);
+
+            done();
+        });
+    });
+
+    it('should retry transient errors', function(done) {
+        failures.query = [[deadlock], [deadlock]];
+
+        db.runInTransaction(function(transaction, callback) {
+            transaction.query('test', callback);
+        }, { 'delay': 0 }, function(err) {
+            expect(err).to.not.be.ok();
+            expect(calls).to.deep.equal([
+                'begin', 'query',
+                'begin', 'query',
+                'begin', 'query', 'commit'
+            ]);
+
+            done();
+        });
+    });
+
+    it('should retry transient errors on commit', function(done) {
+        failures.commit = [[deadlock]];
+
+        db.runInTransaction(function(transaction, callback) {
+            callback();
+        }, { 'delay': 0 }, function(err) {
+            expect(err).to.not.be.ok();
+            expect(calls).to.deep.equal(['begin', 'commit', 'begin', 'commit']);
+
+            done();
+        });
+    });
+
+    it('should retry transient errors on begin', function(done) {
+        failures.begin = [[deadlock]];
+
+        db.runInTransaction(function(transaction, callback) {
+            callback();
+        }, { 'delay': 0 }, function(err) {
+            expect(err).to.not.be.ok();
+            expect(calls).to.deep.equal(['begin', 'begin', 'commit']);
+
+            done();
+        });
+    });
+
+    it('should give up after the given number of retries', function(done) {
+        failures.query = [[deadlock], [deadlock], [deadlock]];
+
+        db.runInTransaction(function(transaction, callback) {
+            transaction.query('test', callback);
+        }, { 'retries': 2, 'delay': 0 }, function(err) {
+            expect(err.message).to.match(/DeadlockDetected/);
+            expect(calls).to.have.length(6);
+
+            done();
+        });
+    });
+
+    it('should back off between retries', function(done) {
+        var start = Date.now();
+        failures.query = [[deadlock], [deadlock]];
+
+        db.runInTransaction(function(transaction, callback) {
+            transaction.query('test', callback);
+        }, { 'delay': 10, 'factor': 2 }, function(err) {
+            expect(err).to.not.be.ok();
+            expect(Date.now() - start).to.be.at.least(30);
+
+            done();
+        });
+    });
+});
@@ -0,0 +1,165 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('When reading the schema', function() {
+    var db;
+    var requests;
+    var resources = {
+        '/db/data/labels': ['Person', 'Company'],
+        '/db/data/relationship/types': ['WORKS_AT'],
+        '/db/data/propertykeys': ['name', 'email'],
+        '/db/data/schema/index/Person': [
+            { 'label': 'Person', 'property_keys': ['name'] },
+            { 'label': 'Person', 'property_keys': ['email'] }
+        ],
+        '/db/data/schema/index/Company': [
+            { 'label': 'Company', 'property_keys': ['name'] }
+        ],
+        '/db/data/schema/index/Odd%20Label': [],
+        '/db/data/schema/constraint': [{
+            'label': 'Person',
+            'type': 'UNIQUENESS',
+            'property_keys': ['email']
+        }],
+        '/db/data/schema/constraint/Person': [{
+            'label': 'Person',
+            'type': 'UNIQUENESS',
+            'property_keys': ['email']
+        }]
+    };
+
+    before(function(done) {
+        db = new Neo4j('http://localhost:7474');
+        done();
+    });
+
+    beforeEach(function(done) {
+        requests = [];
+
+        Neo4j.__set__({
+            'request': {
+                'get': function(options, callback) {
+                    var path = options.uri.replace('http://localhost:7474', '');
+
+                    requests.push(options);
+
+                    if (path === '/db/data/schema/index/Broken') {
+                        return callback(null, {
+                            'statusCode': 500,
+                            'body': 'Internal error'
+                        });
+                    }
+
+                    if (path === '/db/data/schema/index/Down') {
+                        return callback(new Error('connect ECONNREFUSED'));
+                    }
+
+                    callback(null, {
+                        'statusCode': 200,
+                        'body': resources[path]
+                    });
+                }
+            }
+        });
+
+        done();
+    });
+
+    it('should list labels', function(done) {
+        db.labels(function(err, labels) {
+            expect(err).to.not.be.ok();
+            expect(labels).to.deep.equal(['Person', 'Company']);
+            expect(requests[0]).to.have.property('method', 'GET');
+            expect(requests[0]).to.have.property('json', true);
+
+            done();
+        });
+    });
+
+    it('should list relationship types', function(done) {
+        db.relationshipTypes(function(err, types) {
+            expect(err).to.not.be.ok();
+            expect(types).to.deep.equal(['WORKS_AT']);
+
+            done();
+        });
+    });
+
+    it('should list property keys', function(done) {
+        db.propertyKeys().then(function(keys) {
+            expect(keys).to.deep.equal(['name', 'email']);
+
+            done();
+        }).catch(done);
+    });
+
+    it('should list the indexes on a label', function(done) {
+        db.indexes('Person', function(err, indexes) {
+            expect(err).to.not.be.ok();
+            expect(indexes).to.deep.equal([
+                { 'label': 'Person', 'properties': ['name'] },
+                { 'label': 'Person', 'properties': ['email'] }
+            ]);
+
+            done();
+        });
+    });
+
+    it('should escape labels in the URI', function(done) {
+        db.indexes('Odd Label', function(err, indexes) {
+            expect(err).to.not.be.ok();
+            expect(indexes).to.be.empty();
+
+            done();
+        });
+    });
+
+    it('should list the indexes on every label', function(done) {
+        db.indexes().then(function(indexes) {
+            expect(indexes).to.have.length(3);
+            expect(indexes[2]).to.deep.equal(
+                { 'label': 'Company', 'properties': ['name'] });
+            expect(requests).to.have.length(3);
+
+            done();
+        }).catch(done);
+    });
+
+    it('should list constraints', function(done) {
+        db.constraints(function(err, constraints) {
+            expect(err).to.not.be.ok();
+            expect(constraints).to.deep.equal([{
+                'label': 'Person',
+                'type': 'UNIQUENESS',
+                'properties': ['email']
+            }]);
+
+            db.constraints('Person', function(err, constraints) {
+                expect(constraints).to.have.length(1);
+                expect(requests[1].uri).to.equal(
+                    'http://localhost:7474/db/data/schema/constraint/Person');
+
+                done();
+            });
+        });
+    });
+
+    it('should report unexpected responses', function(done) {
+        db.indexes('Broken', function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.ProtocolError);
+            expect(err.message).to.equal('Error fetching indexes: status 500');
+
+            done();
+        });
+    });
+
+    it('should report network errors', function(done) {
+        db.indexes('Down').catch(function(err) {
+            expect(err).to.be.an.instanceof(Neo4j.NetworkError);
+
+            done();
+        });
+    });
+});
@@ -0,0 +1,156 @@
+var expect = require('chai').expect;
+var rewire = require('rewire');
+
+var Neo4j = rewire('../neo4j.js');
+
+describe('When syncing the schema', function() {
+    var db;
+    var statements;
+    var logged;
+    var failing;
+    var resources = {
+        '/db/data/labels': ['Person'],
+        '/db/data/schema/index/Person': [
+            { 'label': 'Person', 'property_keys': ['name'] }
+        ],
+        '/db/data/schema/constraint': []
+    };
+    var spec = {
+        'Person': { 'unique': ['email'] },
+        'Odd`Label': { 'indexes': ['full name'] }
+    };
+
+    before(function(done) {
+        db = new Neo4j('http://localhost:7474');
+        done();
+    });
+
+    beforeEach(function(done) {
+        statements = [];
+        logged = [];
+        failing = undefined;
+
+        Neo4j.__set__({
+            'request': {
+                'get': function(options, callback) {
+                    var path = options.uri.replace('http://localhost:7474', '');
+
+                    callback(null, {
+                        'statusCode': 200,
+                        'body': resources[path]
+                    });
+                },
+                'post': function(options, callback) {
+                    var statement = options.json.statements[0].statement;
+                    var errors = statement === failing ? [{
+                        'code': 'Neo.DatabaseError.Schema.ConstraintCreationFailed',
+                        'message': 'Unable to create constraint'
+                    }] : [];
+
+                    statements.push(statement);
+
+                    callback(null, {
+                        'statusCode': 200,
+                        'body': { 'results': [], 'errors': errors }
+                    });
+                }
+            }
+        });
+
+        done();
+    });
+
+    function log(message) {
+        logged.push(message);
+    }
+
+    it('should create and drop the differences', function(done) {
+        db.syncSchema(spec, { 'log': log }, function(err, plan) {
+            expect(err).to.not.be.ok();
+            expect(statements).to.deep.equal([
+                'DROP INDEX ON :`Person`(`name`)',
+                'CREATE CONSTRAINT ON (n:`Person`) ASSERT n.`email` IS UNIQUE',
+                'CREATE INDEX ON :`Odd``Label`(`full name`)'
+            ]);
+            expect(plan[0]).to.deep.equal({
+                'action': 'drop',
+                'type': 'index',
+                'label': 'Person',
+                'property': 'name',
+                'statement': 'DROP INDEX ON :`Person`(`name`)'
+            });
+            expect(logged).to.deep.equal(['Schema changes:\n' +
+                '  DROP INDEX ON :`Person`(`name`)\n' +
+                '  CREATE CONSTRAINT ON (n:`Person`) ASSERT n.`email` ' +
+                'IS UNIQUE\n' +
+                '  CREATE INDEX ON :`Odd``Label`(`full name`)']);
+
+            done();
+        });
+    });
+
+    it('should only log the plan in a dry run', function(done) {
+        var options = { 'log': log, 'dryRun': true, 'drop': false };
+
+        db.syncSchema(spec, options).then(function(plan) {
+            expect(plan).to.have.length(2);
+            expect(statements).to.be.empty();
+            expect(logged[0]).to.match(/^Schema changes \(dry run\):\n/);
+
+            done();
+        }).catch(done);
+    });
+
+    it('should report when nothing needs to change', function(done) {
+        var current = { 'Person': { 'indexes': ['name'] } };
+
+        db.syncSchema(current, { 'log': log }, function(err, plan) {
+            expect(err).to.not.be.ok();
+            expect(plan).to.be.empty();
+            expect(logged).to.deep.equal(['Schema is up to date']);
+
+            done();
+        });
+    });
+
+    it('should stop at the first change that fails', function(done) {
+        failing = 'CREATE CONSTRAINT ON (n:`Person`) ASSERT n.`email` ' +
+            'IS UNIQUE';
+
+        db.syncSchema(spec, { 'log': log }, function(err, plan) {
+            expect(err).to.be.an.instanceof(Neo4j.DatabaseError);
+            expect(plan).to.have.length(3);
+            expect(statements).to.have.length(2);
+
+            done();
+        });
+    });
+
+    it('should reject invalid descriptions', function(done) {
+        db.syncSchema({ 'Person': { 'indexes': 'name' } }, { 'log': log },
+            function(err) {
+                expect(err).to.be.an.instanceof(Error);
+                expect(statements).to.be.empty();
+                expect(logged).to.be.empty();
+
+                done();
+            }
+        );
+    });
+
+    it('should reject property names that aren\'t strings', function(done) {
+        var options = { 'log': log, 'dryRun': true };
+
+        db.syncSchema({ 'Person': { 'indexes': [1] } }, options).then(
+            function() {
+                done(new Error('Expected the Promise to be rejected'));
+            },
+            function(err) {
+                expect(err.message).to.match(/non-empty property names/);
+                expect(logged).to.be.empty();
+
+                done();
+            }
+        );
+    });
+});